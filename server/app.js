@@ -0,0 +1,150 @@
+// Express app assembly
+//
+// Wires the browser pool, scrapers, cache, storage, services and job queue
+// together and mounts the route groups the profile asks for.
+
+const express = require('express');
+const cors = require('cors');
+const compression = require('compression');
+
+const { loadProfile } = require('./profiles');
+const { sql, migrate } = require('./db');
+const { createCache } = require('./cache');
+const { createBrowserPool } = require('./browserPool');
+const { createStorage } = require('./storage');
+const { createScrapers } = require('./scrapers');
+const { createComicService } = require('./comics');
+const { createSeriesService } = require('./series');
+const { createWatcher } = require('./watcher');
+const { createJobQueue } = require('./jobs/queue');
+const { createHandlers } = require('./jobs/handlers');
+const { createAuth } = require('./auth');
+const { createRateLimiter } = require('./rateLimit');
+const { measureRequests } = require('./metrics');
+const { createCatalogRouter } = require('./routes/catalog');
+const { createComicsRouter } = require('./routes/comics');
+const { createImagesRouter } = require('./routes/images');
+const { createJobsRouter } = require('./routes/jobs');
+const { createTrackingRouter } = require('./routes/tracking');
+const { createFeedsRouter } = require('./routes/feeds');
+const { createOpdsRouter } = require('./routes/opds');
+const { createExportRouter } = require('./routes/export');
+const { createAdminRouter } = require('./routes/admin');
+const { createHealthRouter } = require('./routes/health');
+const { createMetricsRouter } = require('./routes/metrics');
+
+// TRUST_PROXY as Express wants it; undefined leaves the setting alone
+const parseTrustProxy = (value) => {
+  const trimmed = (value || '').trim();
+  if (!trimmed) return undefined;
+  if (trimmed === 'false' || trimmed === '0') return false;
+  if (trimmed === 'true') return true;
+  if (/^\d+$/.test(trimmed)) return parseInt(trimmed);
+  return trimmed;
+};
+
+const createServer = (profile = loadProfile()) => {
+  const app = express();
+
+  const cache = createCache();
+  const auth = createAuth();
+
+  const pool = createBrowserPool({ launchOptions: profile.browser, size: profile.poolSize });
+  const scrapers = createScrapers(pool);
+  const storage = createStorage({ port: profile.port });
+  const comics = createComicService({ scrapers, cache, storage });
+  const series = createSeriesService({ scrapers });
+
+  // Jobs call back into this server over HTTP
+  const jobQueue = profile.routes.includes('jobs')
+    ? createJobQueue({
+      sql,
+      handlers: createHandlers({ baseUrl: `http://127.0.0.1:${profile.port}`, apiKey: auth.internalKey })
+    })
+    : null;
+
+  const watcher = profile.routes.includes('tracking')
+    ? createWatcher({ series, comics })
+    : null;
+
+  // Needed behind a reverse proxy for req.ip to be the client: a hop count,
+  // `true`/`false`, or addresses/subnets (see Express's "trust proxy" setting)
+  const trustProxy = parseTrustProxy(process.env.TRUST_PROXY);
+  if (trustProxy !== undefined) app.set('trust proxy', trustProxy);
+
+  // Middleware
+  app.use(measureRequests);
+  app.use(cors());
+  app.use(compression({
+    level: 6, // Higher compression level
+    threshold: 0 // Compress all responses
+  }));
+  app.use(express.json({ limit: '1mb' })); // Limit payload size
+
+  // Before the routes, so they see every request. The limiter tells clients
+  // apart by key, and turns away floods before the role check.
+  app.use(auth.authenticate);
+  app.use(createRateLimiter());
+  app.use(auth.authorize);
+
+  const routers = {
+    catalog: () => createCatalogRouter({ scrapers, cache, series }),
+    comics: () => createComicsRouter({ comics }),
+    images: () => createImagesRouter({ pool, cache, storage, auth }),
+    jobs: () => createJobsRouter({ jobQueue }),
+    tracking: () => createTrackingRouter({ series, watcher }),
+    feeds: () => createFeedsRouter({ scrapers, cache, series }),
+    opds: () => createOpdsRouter({
+      scrapers, cache, series, comics,
+      exports: profile.routes.includes('export')
+    }),
+    export: () => createExportRouter({ comics, series }),
+    admin: () => createAdminRouter({ cache, auth, pool, scrapers, storage, jobQueue }),
+    health: () => createHealthRouter({ pool, profile }),
+    metrics: () => createMetricsRouter({ auth })
+  };
+  profile.routes.forEach(name => app.use(routers[name]()));
+
+  // Drivers that keep files on this machine serve them from here too
+  if (storage.router) app.use(storage.router());
+
+  // Error handling middleware
+  app.use((err, req, res, next) => {
+    console.error('Global error handler:', err);
+    res.status(500).json({
+      status: 'error',
+      message: err.message || 'Internal server error'
+    });
+  });
+
+  let server = null;
+
+  const start = async () => {
+    await migrate();
+    await pool.start();
+    await new Promise(resolve => {
+      server = app.listen(profile.port, '0.0.0.0', resolve);
+    });
+    console.log(`🚀 Server ready at http://0.0.0.0:${profile.port} (profile: ${profile.name}, routes: ${profile.routes.join(', ')})`);
+
+    // Jobs call back into this server, so only start them once it listens
+    if (jobQueue) {
+      jobQueue.start().catch(err => console.error('Failed to start job queue:', err));
+    }
+    if (watcher) watcher.start();
+  };
+
+  const stop = async () => {
+    if (jobQueue) jobQueue.stop();
+    if (watcher) watcher.stop();
+    if (server) server.close();
+    console.log('Shutting down browser pool...');
+    await pool.close();
+    await cache.close();
+    if (sql.end) await sql.end();
+  };
+
+  return { app, profile, pool, cache, auth, storage, jobQueue, start, stop };
+};
+
+module.exports = { createServer, parseTrustProxy };
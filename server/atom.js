@@ -0,0 +1,80 @@
+// Atom 1.0 feed builder and the date guessing the feeds need.
+// Sources show dates as either absolute text ("March 3, 2024") or relative
+// text ("2 jam yang lalu", "3 days ago").
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const UNIT_MS = {
+  detik: 1000, second: 1000,
+  menit: 60 * 1000, minute: 60 * 1000,
+  jam: 60 * 60 * 1000, hour: 60 * 60 * 1000,
+  hari: 24 * 60 * 60 * 1000, day: 24 * 60 * 60 * 1000,
+  minggu: 7 * 24 * 60 * 60 * 1000, week: 7 * 24 * 60 * 60 * 1000,
+  bulan: 30 * 24 * 60 * 60 * 1000, month: 30 * 24 * 60 * 60 * 1000,
+  tahun: 365 * 24 * 60 * 60 * 1000, year: 365 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * @param {string} text - date as shown on the source
+ * @param {Date} now - what relative dates count back from
+ * @returns {Date|null} null when the text is not a date we understand
+ */
+const parseSourceDate = (text, now = new Date()) => {
+  if (!text) return null;
+
+  const relative = text.toLowerCase().match(/(\d+)\s*(detik|menit|jam|hari|minggu|bulan|tahun|second|minute|hour|day|week|month|year)/);
+  if (relative) {
+    // Rounded down to the unit, so the same text gives the same date all hour
+    const unit = UNIT_MS[relative[2]];
+    return new Date(Math.floor((now.getTime() - parseInt(relative[1]) * unit) / unit) * unit);
+  }
+
+  const absolute = Date.parse(text);
+  return isNaN(absolute) ? null : new Date(absolute);
+};
+
+const renderEntry = (entry) => `  <entry>
+    <id>${escapeXml(entry.id)}</id>
+    <title>${escapeXml(entry.title)}</title>
+    <updated>${entry.updated.toISOString()}</updated>
+    <link rel="alternate" href="${escapeXml(entry.link)}"/>${entry.summary ? `
+    <summary>${escapeXml(entry.summary)}</summary>` : ''}${entry.thumbnail ? `
+    <link rel="enclosure" type="image/jpeg" href="${escapeXml(entry.thumbnail)}"/>` : ''}
+  </entry>`;
+
+/**
+ * @param {object} feed
+ * @param {string} feed.id - permanent id, usually the feed's own URL
+ * @param {string} feed.title
+ * @param {string} feed.link - page the feed describes
+ * @param {string} feed.self - URL of the feed itself
+ * @param {string} feed.author - who publishes what the feed lists
+ * @param {object[]} feed.entries - { id, title, link, updated, summary?, thumbnail? }
+ * @returns {string} the feed document
+ */
+const buildAtomFeed = ({ id, title, link, self, author, entries }) => {
+  const updated = entries.reduce(
+    (latest, entry) => entry.updated > latest ? entry.updated : latest,
+    new Date(0)
+  );
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(id)}</id>
+  <title>${escapeXml(title)}</title>
+  <updated>${(entries.length > 0 ? updated : new Date()).toISOString()}</updated>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(self)}"/>
+  <link rel="alternate" href="${escapeXml(link)}"/>
+  <author><name>${escapeXml(author)}</name></author>
+  <generator>doujin-reader</generator>
+${entries.map(renderEntry).join('\n')}
+</feed>
+`;
+};
+
+module.exports = { escapeXml, parseSourceDate, buildAtomFeed };
@@ -0,0 +1,175 @@
+// API keys and roles
+//
+// Clients send a key as `Authorization: Bearer <key>` or `X-API-Key: <key>`.
+// Keys are issued through /admin/keys and only their SHA-256 is stored. Each
+// has one role, and every role may do what the ones before it may:
+//   reader   /track, and /get for a thumbnail that is not stored yet; both
+//            write to the database and /get also to storage
+//   crawler  bulk jobs (/auto-*, /jobs), /tracked/check and /metrics
+//   admin    /admin/*, including issuing and revoking keys
+// Routes not listed in ROUTE_ROLES stay open to anyone; paths are compared
+// the way Express routes them (see routePath.js). /get answers stored
+// thumbnails to anyone, because the web app asks for every thumbnail it
+// shows and cannot keep a key secret; it checks the role itself before it
+// fetches and stores a new one.
+//
+// ADMIN_API_KEY, when set, is accepted as an admin key without being in the
+// database, so the first real key can be issued. AUTH=off turns checking off.
+//
+// Job handlers call back into the server with a key made up at start that
+// never leaves the process. It is marked `internal` so the rate limiter lets
+// those calls through, and is recognised for that even with AUTH=off.
+
+const crypto = require('crypto');
+const NodeCache = require('node-cache');
+const { createApiKey, getApiKeyByHash, listApiKeys, revokeApiKey, touchApiKey } = require('./db');
+const { routePath } = require('./routePath');
+
+const ROLES = ['reader', 'crawler', 'admin'];
+
+// [path, role, method]; the first match wins
+const ROUTE_ROLES = [
+  [/^\/admin(\/|$)/, 'admin'],
+  [/^\/(auto-fetch|auto-json|auto-thumbnail)$/, 'crawler'],
+  [/^\/jobs(\/|$)/, 'crawler'],
+  [/^\/tracked\/check$/, 'crawler'],
+  [/^\/metrics$/, 'crawler'],
+  [/^\/track$/, 'reader']
+];
+
+// How long a looked up key is remembered; a revoked key is forgotten at once
+const KEY_CACHE_TTL = 60; // seconds
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const sameHash = (a, b) => crypto.timingSafeEqual(Buffer.from(a, 'hex'), Buffer.from(b, 'hex'));
+
+const roleFor = (method, path) => {
+  const normalized = routePath(path);
+  const match = ROUTE_ROLES.find(([pattern, , only]) => (!only || only === method) && pattern.test(normalized));
+  return match ? match[1] : null;
+};
+
+const hasRole = (apiKey, role) => Boolean(apiKey) && ROLES.indexOf(apiKey.role) >= ROLES.indexOf(role);
+
+const keyFromRequest = (req) => {
+  const header = req.get('authorization');
+  const bearer = header && header.match(/^Bearer\s+(\S+)$/i);
+  return bearer ? bearer[1] : req.get('x-api-key') || null;
+};
+
+const createAuth = () => {
+  const enabled = process.env.AUTH !== 'off';
+  const known = new NodeCache({ stdTTL: KEY_CACHE_TTL }); // key hash -> key, or false
+  const internalKey = `dk_internal_${crypto.randomBytes(24).toString('base64url')}`;
+  const builtIn = [
+    { hash: hashKey(internalKey), key: { id: 'internal', name: 'job handlers', role: 'crawler', internal: true } }
+  ];
+  if (process.env.ADMIN_API_KEY) {
+    builtIn.push({ hash: hashKey(process.env.ADMIN_API_KEY), key: { id: 'env', name: 'ADMIN_API_KEY', role: 'admin' } });
+  }
+  if (enabled && !process.env.ADMIN_API_KEY) {
+    console.log('🔑 ADMIN_API_KEY is not set; /admin only accepts keys issued before');
+  }
+
+  // Resolves to { id, name, role }, or null for a key that is unknown or
+  // revoked
+  const lookup = async (key) => {
+    const hash = hashKey(key);
+    const fixed = builtIn.find(entry => sameHash(entry.hash, hash));
+    if (fixed) return fixed.key;
+
+    const cached = known.get(hash);
+    if (cached !== undefined) return cached || null;
+
+    const row = await getApiKeyByHash(hash);
+    const found = row ? { id: row.id, name: row.name, role: row.role } : null;
+    known.set(hash, found || false);
+    // Recorded once per lookup rather than per request
+    if (found) touchApiKey(found.id).catch(err => console.error('Could not record key use:', err.message));
+    return found;
+  };
+
+  // Sets req.apiKey when the request carries a valid key and answers 401 when
+  // it carries any other. Requests without a key go on anonymously.
+  const authenticate = async (req, res, next) => {
+    const key = keyFromRequest(req);
+    if (!enabled) {
+      if (key && sameHash(hashKey(key), builtIn[0].hash)) req.apiKey = builtIn[0].key;
+      return next();
+    }
+    if (!key) return next();
+
+    try {
+      const apiKey = await lookup(key);
+      if (!apiKey) return res.status(401).json({ error: 'Invalid API key' });
+      req.apiKey = apiKey;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+
+  // Whether the request may do what needs `role`
+  const allows = (req, role) => !enabled || hasRole(req.apiKey, role);
+
+  // Answers 401 without a key and 403 with one of a lower role
+  const deny = (req, res, role) => {
+    if (!req.apiKey) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: 'API key required', role });
+    }
+    res.status(403).json({ error: `This needs the ${role} role`, role });
+  };
+
+  // Turns away requests for a route in ROUTE_ROLES without a key of that
+  // role or a higher one
+  const authorize = (req, res, next) => {
+    const role = roleFor(req.method, req.path);
+    if (!role || allows(req, role)) return next();
+    deny(req, res, role);
+  };
+
+  // The same check for one route, for routers that guard their routes
+  // themselves
+  const requireRole = (role) => (req, res, next) => {
+    if (allows(req, role)) return next();
+    deny(req, res, role);
+  };
+
+  /**
+   * Issues a key. The key itself is only ever part of the answer.
+   * @param {string} name - what or who the key is for
+   * @param {string} role - one of ROLES
+   * @returns {Promise<{id: string, name: string, role: string, key: string}>}
+   */
+  const issue = async (name, role) => {
+    if (!ROLES.includes(role)) {
+      throw Object.assign(new Error(`Unknown role: ${role} (expected one of: ${ROLES.join(', ')})`), { status: 400 });
+    }
+    const id = crypto.randomBytes(6).toString('hex');
+    const key = `dk_${id}_${crypto.randomBytes(24).toString('base64url')}`;
+    await createApiKey({ id, name, role, keyHash: hashKey(key) });
+    return { id, name, role, key };
+  };
+
+  // Resolves to false when there is no such key or it was revoked already
+  const revoke = async (id) => {
+    const found = await revokeApiKey(id);
+    if (found) known.flushAll();
+    return found;
+  };
+
+  const list = async () => (await listApiKeys()).map(row => ({
+    id: row.id,
+    name: row.name,
+    role: row.role,
+    createdAt: new Date(row.created_at).toISOString(),
+    lastUsedAt: row.last_used_at ? new Date(row.last_used_at).toISOString() : null,
+    revokedAt: row.revoked_at ? new Date(row.revoked_at).toISOString() : null
+  }));
+
+  return { enabled, internalKey, authenticate, authorize, allows, deny, requireRole, issue, revoke, list };
+};
+
+module.exports = { createAuth, roleFor, hasRole, ROLES };
@@ -0,0 +1,168 @@
+// Puppeteer browser pool
+//
+// A fixed number of browsers are launched up front and handed out one at a
+// time. The whole pool is relaunched every hour to keep memory leaks in check.
+// stats() reports how many are handed out and when the pool last relaunched.
+
+const puppeteer = require('puppeteer-extra');
+const StealthPlugin = require('puppeteer-extra-plugin-stealth');
+const { getSource } = require('./sources');
+const { browserWait, browsersInUse, browsersAvailable, browserRestarts } = require('./metrics');
+
+puppeteer.use(StealthPlugin());
+
+const REFRESH_INTERVAL = 1000 * 60 * 60; // Every hour
+
+/**
+ * @param {object} options
+ * @param {object} options.launchOptions - passed to puppeteer.launch
+ * @param {number} options.size - number of browsers kept open
+ */
+const createBrowserPool = ({ launchOptions, size = 3 }) => {
+  let browserPool = [];
+  let isPoolInitialized = false;
+  let refreshTimer = null;
+  let inUse = 0;
+  let startedAt = null; // when the current browsers were launched
+  let launchFailures = 0;
+
+  const init = async () => {
+    if (isPoolInitialized) return;
+
+    for (let i = 0; i < size; i++) {
+      try {
+        const browser = await puppeteer.launch(launchOptions);
+        browserPool.push(browser);
+      } catch (error) {
+        launchFailures++;
+        console.error('Failed to initialize browser:', error);
+      }
+    }
+
+    isPoolInitialized = true;
+    startedAt = new Date();
+    browsersAvailable.set(browserPool.length);
+    console.log(`🛠️ Browser pool initialized (${browserPool.length} instances)`);
+  };
+
+  const updateGauges = () => {
+    browsersInUse.set(inUse);
+    browsersAvailable.set(browserPool.length);
+  };
+
+  const getBrowser = async () => {
+    const endWait = browserWait.startTimer();
+    if (!isPoolInitialized) await init();
+
+    while (browserPool.length === 0) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    endWait();
+    inUse++;
+    const browser = browserPool.pop();
+    updateGauges();
+    return browser;
+  };
+
+  const releaseBrowser = (browser) => {
+    inUse = Math.max(0, inUse - 1);
+    if (browserPool.length < size) {
+      browserPool.push(browser);
+    } else {
+      browser.close().catch(console.error);
+    }
+    updateGauges();
+  };
+
+  const refresh = () => {
+    console.log('🔄 Refreshing browser pool...');
+    browserRestarts.inc();
+
+    Promise.all(browserPool.map(browser => browser.close()))
+      .catch(console.error)
+      .finally(() => {
+        browserPool = [];
+        isPoolInitialized = false;
+        init();
+      });
+  };
+
+  const start = async () => {
+    await init();
+    refreshTimer = setInterval(refresh, REFRESH_INTERVAL);
+  };
+
+  const close = async () => {
+    clearInterval(refreshTimer);
+    await Promise.all(browserPool.map(b => b.close()));
+  };
+
+  // Opens a page with the source's headers. With interceptRequests, images,
+  // styles, fonts and media are blocked to keep page loads light, and so is
+  // every request allowRequest(url) (sync or async) turns down.
+  const createPage = async (browser, interceptRequests = true, source = getSource(), allowRequest = null) => {
+    const page = await browser.newPage();
+    await page.setExtraHTTPHeaders(source.headers);
+
+    if (interceptRequests) {
+      await page.setRequestInterception(true);
+      page.on('request', async req => {
+        if (allowRequest && !await Promise.resolve(allowRequest(req.url())).catch(() => false)) {
+          req.abort('accessdenied');
+          return;
+        }
+
+        const resourceType = req.resourceType();
+        if (['image', 'stylesheet', 'font', 'media', 'other'].includes(resourceType)) {
+          req.abort();
+        } else {
+          req.continue();
+        }
+      });
+    }
+
+    await page.evaluateOnNewDocument(() => {
+      Object.defineProperty(navigator, 'webdriver', { get: () => false });
+
+      // Block trackers and analytics
+      window.ga = function() {};
+      window.gtag = function() {};
+      window._gaq = { push: function() {} };
+    });
+
+    return page;
+  };
+
+  // Runs fn with a pooled browser and a fresh page, always giving both back
+  const withPage = async (source, fn, { interceptRequests = true, allowRequest = null } = {}) => {
+    let browser, page;
+    try {
+      browser = await getBrowser();
+      page = await createPage(browser, interceptRequests, source, allowRequest);
+      return await fn(page);
+    } finally {
+      if (page) await page.close().catch(console.error);
+      if (browser) releaseBrowser(browser);
+    }
+  };
+
+  return {
+    start,
+    close,
+    getBrowser,
+    releaseBrowser,
+    createPage,
+    withPage,
+    available: () => browserPool.length,
+    stats: () => ({
+      size,
+      available: browserPool.length,
+      inUse,
+      lastRestart: startedAt && startedAt.toISOString(),
+      launchFailures
+    }),
+    size
+  };
+};
+
+module.exports = { createBrowserPool };
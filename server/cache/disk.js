@@ -0,0 +1,82 @@
+// Disk cache store
+//
+// One JSON file per key under CACHE_DIR (default ./data/cache), named by the
+// SHA-1 of the key; the key itself is kept in the file for purges. Expired
+// files are removed when read and by an hourly sweep.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const SWEEP_INTERVAL = 60 * 60 * 1000; // ms
+
+const createDiskStore = () => {
+  const root = path.resolve(process.env.CACHE_DIR || path.join('data', 'cache'));
+  fs.mkdirSync(root, { recursive: true });
+
+  const fileFor = (key) => path.join(root, `${crypto.createHash('sha1').update(key).digest('hex')}.json`);
+
+  const readFile = async (filePath) => {
+    try {
+      return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+      // Missing, or half written by a crashed process
+      return null;
+    }
+  };
+
+  const get = async (key) => {
+    const filePath = fileFor(key);
+    const stored = await readFile(filePath);
+    if (!stored || stored.key !== key) return null;
+    if (stored.expiresAt <= Date.now()) {
+      await fs.promises.rm(filePath, { force: true });
+      return null;
+    }
+    return stored.entry;
+  };
+
+  // Written to a temporary file first so readers never see half an entry.
+  // The name is unique per write, so two concurrent sets of one key do not
+  // write into the same file.
+  const set = async (key, entry, ttl) => {
+    const filePath = fileFor(key);
+    const tmpPath = `${filePath}.${process.pid}.${crypto.randomUUID()}.tmp`;
+    try {
+      await fs.promises.writeFile(tmpPath, JSON.stringify({ key, entry, expiresAt: Date.now() + ttl * 1000 }));
+      await fs.promises.rename(tmpPath, filePath);
+    } catch (error) {
+      await fs.promises.rm(tmpPath, { force: true });
+      throw error;
+    }
+  };
+
+  const remove = (key) => fs.promises.rm(fileFor(key), { force: true });
+
+  // Removes every file whose key starts with prefix (or has expired)
+  const purge = async (prefix, { expiredOnly = false } = {}) => {
+    let removed = 0;
+    for (const name of await fs.promises.readdir(root)) {
+      if (!name.endsWith('.json')) continue;
+      const filePath = path.join(root, name);
+      const stored = await readFile(filePath);
+      const expired = !stored || stored.expiresAt <= Date.now();
+      if (expired || (!expiredOnly && stored.key.startsWith(prefix))) {
+        await fs.promises.rm(filePath, { force: true });
+        if (!expired) removed++;
+      }
+    }
+    return removed;
+  };
+
+  const sweepTimer = setInterval(() => {
+    purge('', { expiredOnly: true }).catch(err => console.error('Cache sweep failed:', err.message));
+  }, SWEEP_INTERVAL);
+  sweepTimer.unref();
+
+  const close = async () => clearInterval(sweepTimer);
+
+  return { get, set, delete: remove, purge, close };
+};
+
+module.exports = { createDiskStore };
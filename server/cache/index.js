@@ -0,0 +1,205 @@
+// Two-tier cache
+//
+// Every entry lives in memory and in a persistent store that survives
+// restarts and is shared between processes:
+//
+//   CACHE_DRIVER  disk, redis, or memory (no persistent tier). Without it,
+//                 redis is used when REDIS_URL is set and disk otherwise.
+//   CACHE_TTL     lifetime in seconds of entries set without one (1800)
+//
+// wrap() adds stale-while-revalidate on top: an entry is fresh for the
+// policy's `ttl`, then served as stale for another `stale` seconds while a
+// single background load replaces it. The policies per route can be changed
+// with CACHE_POLICY_<NAME>=ttl[,stale], e.g. CACHE_POLICY_SEARCH=300,3600.
+//
+// A store implements:
+//   get(key)              -> entry, or null when missing or expired
+//   set(key, entry, ttl)  ttl in seconds
+//   delete(key)
+//   purge(prefix)         -> number of keys removed
+//   close()
+
+const NodeCache = require('node-cache');
+const { createSingleflight } = require('../singleflight');
+const { cacheLookups, cacheStaleServed, cacheStoreErrors } = require('../metrics');
+
+const DEFAULT_TTL = parseInt(process.env.CACHE_TTL) || 30 * 60; // seconds
+
+const DEFAULT_POLICIES = {
+  list: { ttl: 10 * 60, stale: 60 * 60 }, // /doujin and what shares its entries
+  search: { ttl: 30 * 60, stale: 6 * 60 * 60 },
+  detail: { ttl: 5 * 60, stale: 6 * 60 * 60 },
+  comic: { ttl: 30 * 60, stale: 0 }
+};
+
+const loadPolicies = () => Object.fromEntries(Object.entries(DEFAULT_POLICIES).map(([name, policy]) => {
+  const value = process.env[`CACHE_POLICY_${name.toUpperCase()}`];
+  if (!value) return [name, policy];
+  const [ttl, stale] = value.split(',').map(n => parseInt(n));
+  return [name, {
+    ttl: ttl >= 0 ? ttl : policy.ttl,
+    stale: stale >= 0 ? stale : policy.stale
+  }];
+}));
+
+// Loaded on demand so the Redis client is only needed when it is used
+const drivers = {
+  memory: () => () => null,
+  disk: () => require('./disk').createDiskStore,
+  redis: () => require('./redis').createRedisStore
+};
+
+const createCache = () => {
+  const name = process.env.CACHE_DRIVER || (process.env.REDIS_URL ? 'redis' : 'disk');
+  if (!drivers[name]) {
+    throw new Error(`Unknown cache driver "${name}" (expected one of: ${Object.keys(drivers).join(', ')})`);
+  }
+
+  const memory = new NodeCache({ stdTTL: DEFAULT_TTL });
+  const store = drivers[name]()();
+  const policies = loadPolicies();
+  const revalidating = new Set(); // keys with a background load running
+  const loads = createSingleflight(); // misses being loaded
+  const counters = {
+    memoryHits: 0,
+    storeHits: 0,
+    misses: 0,
+    staleServed: 0,
+    revalidations: 0,
+    revalidationErrors: 0,
+    storeErrors: 0
+  };
+  console.log(`🧊 Cache driver: ${name}`);
+
+  // The persistent tier is an optimisation; when it fails we carry on
+  // with memory alone
+  const fromStore = async (fn, fallback) => {
+    if (!store) return fallback;
+    try {
+      return await fn(store);
+    } catch (err) {
+      counters.storeErrors++;
+      cacheStoreErrors.inc();
+      console.error('Cache store error:', err.message);
+      return fallback;
+    }
+  };
+
+  // Entries are { value, freshUntil, staleUntil } with times in ms
+  const readEntry = async (key) => {
+    const cached = memory.get(key);
+    if (cached) {
+      counters.memoryHits++;
+      cacheLookups.inc({ result: 'memory_hit' });
+      return cached;
+    }
+
+    const stored = await fromStore(s => s.get(key), null);
+    if (stored && stored.staleUntil > Date.now()) {
+      counters.storeHits++;
+      cacheLookups.inc({ result: 'store_hit' });
+      memory.set(key, stored, Math.ceil((stored.staleUntil - Date.now()) / 1000));
+      return stored;
+    }
+
+    counters.misses++;
+    cacheLookups.inc({ result: 'miss' });
+    return null;
+  };
+
+  const writeEntry = async (key, value, ttl, stale = 0) => {
+    const now = Date.now();
+    const entry = { value, freshUntil: now + ttl * 1000, staleUntil: now + (ttl + stale) * 1000 };
+    memory.set(key, entry, ttl + stale);
+    await fromStore(s => s.set(key, entry, ttl + stale));
+  };
+
+  /**
+   * @param {string} key
+   * @returns {Promise<*>} the cached value, undefined when there is none
+   */
+  const get = async (key) => {
+    const entry = await readEntry(key);
+    return entry ? entry.value : undefined;
+  };
+
+  /**
+   * @param {string} key
+   * @param {*} value - anything JSON can hold
+   * @param {number} [ttl] - seconds
+   */
+  const set = (key, value, ttl = DEFAULT_TTL) => writeEntry(key, value, ttl);
+
+  const remove = async (key) => {
+    memory.del(key);
+    await fromStore(s => s.delete(key));
+  };
+
+  const revalidateInBackground = (key, policy, load) => {
+    if (revalidating.has(key)) return;
+    revalidating.add(key);
+    counters.revalidations++;
+
+    Promise.resolve()
+      .then(load)
+      .then(value => writeEntry(key, value, policy.ttl, policy.stale))
+      .catch(err => {
+        counters.revalidationErrors++;
+        console.error(`Revalidating ${key} failed:`, err.message);
+      })
+      .finally(() => revalidating.delete(key));
+  };
+
+  /**
+   * Answers from the cache, loading the value when it is missing and
+   * reloading it in the background once it is stale. Concurrent misses on
+   * one key share a single load.
+   * @param {string} key
+   * @param {{ttl: number, stale: number}} policy - seconds, see `policies`
+   * @param {function(): Promise<*>} load
+   * @returns {Promise<{value: *, state: 'fresh'|'stale'|'miss'}>}
+   */
+  const wrap = async (key, policy, load) => {
+    const entry = await readEntry(key);
+    if (entry && entry.freshUntil > Date.now()) return { value: entry.value, state: 'fresh' };
+    if (entry) {
+      counters.staleServed++;
+      cacheStaleServed.inc();
+      revalidateInBackground(key, policy, load);
+      return { value: entry.value, state: 'stale' };
+    }
+
+    const value = await loads.run(key, async () => {
+      const loaded = await load();
+      await writeEntry(key, loaded, policy.ttl, policy.stale);
+      return loaded;
+    });
+    return { value, state: 'miss' };
+  };
+
+  // Removes every key starting with prefix from both tiers. Other processes
+  // sharing the store keep their memory copies until those expire.
+  const purge = async (prefix) => {
+    const keys = memory.keys().filter(key => key.startsWith(prefix));
+    memory.del(keys);
+    const stored = await fromStore(s => s.purge(prefix), 0);
+    return { memory: keys.length, store: stored };
+  };
+
+  const stats = () => ({
+    driver: name,
+    memoryKeys: memory.keys().length,
+    revalidating: revalidating.size,
+    loading: loads.size(),
+    ...counters
+  });
+
+  const close = async () => {
+    memory.close();
+    await fromStore(s => s.close());
+  };
+
+  return { name, policies, get, set, delete: remove, wrap, purge, stats, close };
+};
+
+module.exports = { createCache };
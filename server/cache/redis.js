@@ -0,0 +1,57 @@
+// Redis cache store (anything speaking the Redis protocol: Redis, Valkey,
+// KeyDB, Dragonfly, ...)
+//
+//   REDIS_URL     connection URL, e.g. redis://localhost:6379/0
+//   CACHE_PREFIX  prepended to every key, default "doujin:"
+
+const Redis = require('ioredis');
+
+// Characters with a meaning in SCAN MATCH patterns
+const escapePattern = (text) => text.replace(/[*?[\]\\]/g, '\\$&');
+
+const createRedisStore = () => {
+  const url = process.env.REDIS_URL;
+  if (!url) throw new Error('REDIS_URL is required for the redis cache driver');
+
+  const namespace = process.env.CACHE_PREFIX || 'doujin:';
+  const client = new Redis(url, { maxRetriesPerRequest: 2 });
+  client.on('error', err => console.error('Redis error:', err.message));
+
+  const get = async (key) => {
+    const value = await client.get(namespace + key);
+    return value ? JSON.parse(value) : null;
+  };
+
+  const set = async (key, entry, ttl) => {
+    await client.set(namespace + key, JSON.stringify(entry), 'EX', Math.max(1, Math.ceil(ttl)));
+  };
+
+  const remove = async (key) => {
+    await client.del(namespace + key);
+  };
+
+  const purge = (prefix) => new Promise((resolve, reject) => {
+    let removed = 0;
+    const stream = client.scanStream({ match: `${escapePattern(namespace + prefix)}*`, count: 200 });
+    stream.on('data', keys => {
+      if (keys.length === 0) return;
+      stream.pause();
+      client.del(...keys)
+        .then(count => {
+          removed += count;
+          stream.resume();
+        })
+        .catch(reject);
+    });
+    stream.on('end', () => resolve(removed));
+    stream.on('error', reject);
+  });
+
+  const close = async () => {
+    await client.quit();
+  };
+
+  return { get, set, delete: remove, purge, close };
+};
+
+module.exports = { createRedisStore };
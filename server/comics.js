@@ -0,0 +1,276 @@
+// Chapter images: served from the database when we have them, otherwise
+// scraped from the source, uploaded to storage and saved for next time.
+//
+// Every distinct image is stored once: a page whose bytes were uploaded
+// before, by this chapter or any other, reuses that upload (see `blobs`).
+
+const { sourceKey } = require('./sources');
+const { fetchImageBuffer } = require('./http');
+const { imageSize, sha256 } = require('./imageInfo');
+const { processImage, perceptualHash, hashDistance } = require('./imageProcessing');
+const { createSingleflight } = require('./singleflight');
+const {
+  getComicFromDB,
+  saveComicToDB,
+  savePageInfo,
+  getBlob,
+  saveBlob,
+  getJunkHashes
+} = require('./db');
+
+// How long to wait before trying a chapter's failed pages again
+const FAILED_RETRY_INTERVAL = 10 * 60; // seconds
+
+// Pages whose perceptual hash is at most this many bits (of 64) away from a
+// junk hash count as junk
+const JUNK_DISTANCE = parseInt(process.env.JUNK_DISTANCE) || 6;
+
+// Stores the renditions of one page next to the original, e.g.
+// DOUJINSHI/<key>/mobile/<key>_1.webp. Resolves to the variant map saved with
+// the page: { name: { url, width, height, type } }.
+const uploadVariants = async (storage, comicKey, pageNumber, variants) => {
+  const uploaded = {};
+  for (const [name, variant] of Object.entries(variants)) {
+    const key = `DOUJINSHI/${comicKey}/${name}/${comicKey}_${pageNumber}${variant.ext}`;
+    uploaded[name] = {
+      url: await storage.put(key, variant.buffer, { contentType: variant.contentType }),
+      width: variant.width,
+      height: variant.height,
+      type: variant.contentType
+    };
+  }
+  return uploaded;
+};
+
+// Uploads one page image with its renditions, unless the same bytes are
+// stored already. Resolves to the page fields that describe the stored image:
+// { url, size, width, height, phash, variants }.
+const storeImage = async (storage, comicKey, pageNumber, buffer, hash) => {
+  const existing = await getBlob(hash);
+  if (existing) {
+    console.log(`♻️ Image ${pageNumber} is already stored, reusing it`);
+    return existing;
+  }
+
+  // The extension comes from the decoded format; source URLs lie
+  const { original, variants, phash } = await processImage(buffer);
+  const fileName = `${comicKey}_${pageNumber}${original.ext}`;
+  const stored = {
+    url: await storage.put(`DOUJINSHI/${comicKey}/${fileName}`, buffer, {
+      contentType: original.contentType
+    }),
+    size: buffer.length,
+    width: original.width,
+    height: original.height,
+    phash,
+    variants: await uploadVariants(storage, comicKey, pageNumber, variants)
+  };
+  await saveBlob(hash, stored);
+  console.log(`✅ Uploaded image ${pageNumber}`);
+  return stored;
+};
+
+// Downloads every image, checks it decodes and uploads it with its
+// renditions, 3 at a time. Resolves to one page object per entry of `pages`
+// ({ index, sourceUrl }), in the same order, with status 'uploaded' or
+// 'failed'.
+const uploadImages = async (storage, source, comicKey, pages, total = pages.length) => {
+  const results = [];
+
+  for (let i = 0; i < pages.length; i += 3) {
+    const batch = pages.slice(i, i + 3);
+    const batchPromises = batch.map(async ({ index, sourceUrl }) => {
+      let retries = 0;
+      const maxRetries = 2;
+
+      while (retries <= maxRetries) {
+        try {
+          console.log(`Processing image ${index + 1}/${total}`);
+          const buffer = await fetchImageBuffer(sourceUrl, source.baseUrl);
+          const hash = sha256(buffer);
+          const stored = await storeImage(storage, comicKey, index + 1, buffer, hash);
+          return {
+            index,
+            sourceUrl,
+            hash,
+            ...stored,
+            status: 'uploaded'
+          };
+        } catch (uploadErr) {
+          retries++;
+          if (retries > maxRetries) {
+            console.error(`❌ Failed to upload image ${index + 1} after ${maxRetries} retries:`, uploadErr.message);
+            return {
+              index,
+              url: null,
+              sourceUrl,
+              size: null,
+              width: null,
+              height: null,
+              hash: null,
+              phash: null,
+              variants: {},
+              status: 'failed',
+              error: uploadErr.message
+            };
+          }
+          console.log(`⚠️ Retry ${retries}/${maxRetries} for image ${index + 1}...`);
+          // Wait before retrying (exponential backoff)
+          await new Promise(resolve => setTimeout(resolve, 1000 * retries));
+        }
+      }
+    });
+
+    results.push(...await Promise.all(batchPromises));
+  }
+
+  return results;
+};
+
+const countFailed = (pages) => pages.filter(page => page.status !== 'uploaded').length;
+
+// The /get-comic body. Pages keep their place in the chapter even when they
+// failed, so readers can tell which page is missing.
+const toResponse = (pages, fields) => {
+  const failed = countFailed(pages);
+  return {
+    success: true,
+    images: pages.map(({ error, ...page }) => page),
+    total: pages.length,
+    failed,
+    ...fields,
+    warning: failed > 0 ? 'Beberapa gambar gagal diupload' : undefined
+  };
+};
+
+/**
+ * @param {object} options
+ * @param {object} options.scrapers - from createScrapers
+ * @param {object} options.cache - from createCache
+ * @param {object} options.storage - from createStorage
+ */
+const createComicService = ({ scrapers, cache, storage }) => {
+  const measuring = new Set(); // comic keys with a page info backfill running
+  const loading = createSingleflight(); // chapters being loaded, by comic key
+
+  // Pages uploaded before dimensions and perceptual hashes were recorded lack
+  // them; download those pages once in the background and store both for the
+  // next request
+  const measureInBackground = (source, comicKey, pages) => {
+    const unmeasured = pages.filter(page => page.url && (page.width == null || !page.phash));
+    if (unmeasured.length === 0 || measuring.has(comicKey)) return;
+    measuring.add(comicKey);
+
+    (async () => {
+      for (const page of unmeasured) {
+        try {
+          const buffer = await fetchImageBuffer(page.url, source.baseUrl);
+          const size = imageSize(buffer);
+          if (size) await savePageInfo(comicKey, page.index, { ...size, phash: await perceptualHash(buffer) });
+        } catch (err) {
+          console.error(`Could not measure page ${page.index + 1} of ${comicKey}:`, err.message);
+        }
+      }
+    })()
+      .then(() => console.log(`📐 Measured ${unmeasured.length} page(s) of ${comicKey}`))
+      .finally(() => measuring.delete(comicKey));
+  };
+
+  // Leaves out the pages that look like a known credit or ad page. Pages
+  // without a perceptual hash yet are kept.
+  const withoutJunk = async (response) => {
+    const junk = (await getJunkHashes()).map(row => row.phash);
+    if (junk.length === 0) return { ...response, junk: 0 };
+
+    const isJunk = (page) => page.phash && junk.some(phash => hashDistance(page.phash, phash) <= JUNK_DISTANCE);
+    const images = response.images.filter(page => !isJunk(page));
+    return {
+      ...response,
+      images,
+      total: images.length,
+      failed: countFailed(images),
+      junk: response.images.length - images.length
+    };
+  };
+
+  // Uploads the pages that failed last time, at most once per interval
+  const retryFailed = async (source, slug, comicKey, pages) => {
+    const retryKey = `comic-retry-${comicKey}`;
+    const failed = pages.filter(page => page.status !== 'uploaded' && page.sourceUrl);
+    if (failed.length === 0 || await cache.get(retryKey)) return pages;
+    await cache.set(retryKey, true, FAILED_RETRY_INTERVAL);
+
+    console.log(`Retrying ${failed.length} failed page(s) of ${comicKey}`);
+    const retried = await uploadImages(storage, source, comicKey, failed, pages.length);
+    const merged = pages.map(page => retried.find(r => r.index === page.index) || page);
+    await saveComicToDB(comicKey, source.chapterUrl(slug), merged);
+    return merged;
+  };
+
+  const loadComic = async (source, slug) => {
+    const comicKey = sourceKey(source, slug);
+
+    try {
+      // 1. Check database first for existing comic
+      const dbPages = await getComicFromDB(comicKey);
+      if (dbPages?.length > 0) {
+        const pages = await retryFailed(source, slug, comicKey, dbPages);
+        measureInBackground(source, comicKey, pages);
+        return toResponse(pages, { cached: true, source: 'database' });
+      }
+
+      // 2. Check memory cache
+      const cacheKey = `comic-${comicKey}`;
+      const cached = await cache.get(cacheKey);
+      if (cached) return cached;
+
+      // 3. Fetch from source
+      const chapter = await scrapers.chapterImages(source, slug);
+      if (!chapter) return null;
+      const { url: fullUrl, images: imageUrls } = chapter;
+
+      // 4. Upload to storage
+      const pages = await uploadImages(
+        storage, source, comicKey,
+        imageUrls.map((sourceUrl, index) => ({ index, sourceUrl }))
+      );
+
+      // 5. Save to database if any upload succeeded; failed pages are kept so
+      // the next request retries them
+      if (countFailed(pages) < pages.length) {
+        await saveComicToDB(comicKey, fullUrl, pages);
+      }
+
+      const response = toResponse(pages, { cached: false, source: 'freshly scraped' });
+
+      await cache.set(cacheKey, response, cache.policies.comic.ttl);
+      return response;
+    } catch (err) {
+      // Final check if another process saved the chapter meanwhile
+      const dbPages = await getComicFromDB(comicKey);
+      if (dbPages?.length > 0) {
+        return toResponse(dbPages, { cached: true, source: 'database (race condition recovery)' });
+      }
+      throw err;
+    }
+  };
+
+  /**
+   * Resolves to the /get-comic response body, or null when the chapter does
+   * not exist on the source. Concurrent calls for one chapter share a single
+   * scrape and upload.
+   * @param {object} source - source adapter
+   * @param {string} slug - chapter slug
+   * @param {object} [options]
+   * @param {boolean} [options.skipJunk] - leave out credit/ad pages listed in
+   *   junk_hashes; the response then says how many in `junk`
+   */
+  const getComic = async (source, slug, { skipJunk = false } = {}) => {
+    const response = await loading.run(sourceKey(source, slug), () => loadComic(source, slug));
+    return response && skipJunk ? withoutJunk(response) : response;
+  };
+
+  return { getComic };
+};
+
+module.exports = { createComicService };
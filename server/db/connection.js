@@ -0,0 +1,38 @@
+// Database connection
+//
+// DB_DRIVER picks where the data lives:
+//   postgres - the `sql` exported by ../../config.js
+//   sqlite   - an embedded database in DB_FILE (default data/doujin.sqlite)
+//
+// Without DB_DRIVER, postgres is used when config.js is present and sqlite
+// otherwise, so a fresh checkout boots without an external database.
+
+const DEFAULT_SQLITE_FILE = 'data/doujin.sqlite';
+
+const loadPostgres = () => require('../../config.js').sql;
+
+const loadSqlite = () => {
+  const { createSqlite } = require('./sqlite');
+  return createSqlite(process.env.DB_FILE || DEFAULT_SQLITE_FILE);
+};
+
+const connect = () => {
+  const driver = process.env.DB_DRIVER;
+
+  if (driver === 'postgres') return { dialect: 'postgres', sql: loadPostgres() };
+  if (driver === 'sqlite') return { dialect: 'sqlite', sql: loadSqlite() };
+  if (driver) {
+    throw new Error(`Unknown DB_DRIVER "${driver}" (expected postgres or sqlite)`);
+  }
+
+  // Only a missing config.js falls back; a broken one should still fail
+  try {
+    require.resolve('../../config.js');
+  } catch (error) {
+    console.log('config.js not found, using the embedded SQLite database');
+    return { dialect: 'sqlite', sql: loadSqlite() };
+  }
+  return { dialect: 'postgres', sql: loadPostgres() };
+};
+
+module.exports = connect();
@@ -0,0 +1,517 @@
+// Database helpers
+// `sql` is a tagged template query function, either the Postgres one from
+// ../config.js or the embedded SQLite driver (see ./connection.js).
+
+const { sql, dialect } = require('./connection');
+const { migrate } = require('./migrate');
+const { dbRetries } = require('../metrics');
+
+// Row of chapter_images -> page object as served by /get-comic
+const toPage = (row) => ({
+  index: row.page_index,
+  url: row.cdn_url || null,
+  sourceUrl: row.source_url || null,
+  size: row.size ?? null,
+  width: row.width ?? null,
+  height: row.height ?? null,
+  hash: row.content_hash || null,
+  phash: row.phash || null,
+  variants: parseJson(row.variants, {}),
+  status: row.status
+});
+
+// JSON text columns; anything unreadable counts as empty
+const parseJson = (value, empty) => {
+  try {
+    return JSON.parse(value) || empty;
+  } catch (e) {
+    return empty;
+  }
+};
+
+// Enhanced database helpers with error handling and retries
+// Resolves to the chapter's pages in reading order, or null if none are stored
+const getComicFromDB = async (slug, retryCount = 0) => {
+  try {
+    const results = await sql`
+      SELECT page_index, source_url, cdn_url, size, width, height, content_hash, phash, variants, status
+      FROM chapter_images
+      WHERE comic_slug = ${slug}
+      ORDER BY page_index
+    `;
+
+    if (results?.length > 0) {
+      return results.map(toPage);
+    }
+    return null;
+  } catch (error) {
+    console.error('Database error:', error);
+
+    // Retry logic for transient database errors
+    if (retryCount < 2) {
+      console.log(`Retrying database query for slug ${slug} (attempt ${retryCount + 1})...`);
+      dbRetries.inc({ operation: 'getComicFromDB' });
+      await new Promise(resolve => setTimeout(resolve, 500 * (retryCount + 1)));
+      return getComicFromDB(slug, retryCount + 1);
+    }
+
+    return null;
+  }
+};
+
+// The pages of several chapters in one query, for listing or exporting a
+// whole series. Resolves to a Map of slug -> pages in reading order; slugs
+// without stored pages are not in it. The slugs go in as one JSON array,
+// which both databases can unpack.
+const getComicsFromDB = async (slugs) => {
+  const list = JSON.stringify(slugs);
+  const rows = dialect === 'sqlite'
+    ? await sql`
+      SELECT comic_slug, page_index, source_url, cdn_url, size, width, height, content_hash, phash, variants, status
+      FROM chapter_images
+      WHERE comic_slug IN (SELECT value FROM json_each(${list}))
+      ORDER BY comic_slug, page_index
+    `
+    : await sql`
+      SELECT comic_slug, page_index, source_url, cdn_url, size, width, height, content_hash, phash, variants, status
+      FROM chapter_images
+      WHERE comic_slug IN (SELECT json_array_elements_text(${list}::json))
+      ORDER BY comic_slug, page_index
+    `;
+
+  const comics = new Map();
+  for (const row of rows) {
+    if (!comics.has(row.comic_slug)) comics.set(row.comic_slug, []);
+    comics.get(row.comic_slug).push(toPage(row));
+  }
+  return comics;
+};
+
+// `pages` are page objects (see toPage); failed pages are stored too, so a
+// later request knows which ones to try again. Pages from an earlier, longer
+// copy of the chapter are removed in the same transaction.
+const saveComicToDB = async (slug, fullUrl, pages, retryCount = 0) => {
+  if (!pages || pages.length === 0) {
+    console.error('Attempted to save empty pages array');
+    return false;
+  }
+
+  try {
+    await sql.begin(async (sql) => {
+      // image_url is the old comma-joined list, kept up to date for the
+      // previous release (see migrations/003_chapter_images.js)
+      const imageUrl = [...pages]
+        .sort((a, b) => a.index - b.index)
+        .map(page => page.url)
+        .filter(Boolean)
+        .join(',');
+      await sql`
+        INSERT INTO comics (slug, url, image_url, total_images, updated_at)
+        VALUES (${slug}, ${fullUrl}, ${imageUrl}, ${pages.length}, CURRENT_TIMESTAMP)
+        ON CONFLICT (slug) DO UPDATE SET
+          url = EXCLUDED.url,
+          image_url = EXCLUDED.image_url,
+          total_images = EXCLUDED.total_images,
+          updated_at = CURRENT_TIMESTAMP
+      `;
+
+      for (const page of pages) {
+        await sql`
+          INSERT INTO chapter_images (
+            comic_slug, page_index, source_url, cdn_url, size, width, height,
+            content_hash, phash, variants, status, error, updated_at
+          )
+          VALUES (
+            ${slug}, ${page.index}, ${page.sourceUrl}, ${page.url}, ${page.size},
+            ${page.width}, ${page.height}, ${page.hash}, ${page.phash || null},
+            ${JSON.stringify(page.variants || {})}, ${page.status}, ${page.error || null},
+            CURRENT_TIMESTAMP
+          )
+          ON CONFLICT (comic_slug, page_index) DO UPDATE SET
+            source_url = EXCLUDED.source_url,
+            cdn_url = EXCLUDED.cdn_url,
+            size = EXCLUDED.size,
+            width = EXCLUDED.width,
+            height = EXCLUDED.height,
+            content_hash = EXCLUDED.content_hash,
+            phash = EXCLUDED.phash,
+            variants = EXCLUDED.variants,
+            status = EXCLUDED.status,
+            error = EXCLUDED.error,
+            updated_at = CURRENT_TIMESTAMP
+        `;
+      }
+
+      await sql`DELETE FROM chapter_images WHERE comic_slug = ${slug} AND page_index >= ${pages.length}`;
+    });
+
+    const uploaded = pages.filter(page => page.status === 'uploaded').length;
+    console.log(`✅ Saved ${uploaded}/${pages.length} pages to database for slug: ${slug}`);
+    return true;
+  } catch (error) {
+    console.error(`Failed to save to database (attempt ${retryCount + 1}):`, error);
+
+    // Retry logic for transient database errors
+    if (retryCount < 2) {
+      dbRetries.inc({ operation: 'saveComicToDB' });
+      await new Promise(resolve => setTimeout(resolve, 1000 * (retryCount + 1)));
+      return saveComicToDB(slug, fullUrl, pages, retryCount + 1);
+    }
+
+    return false;
+  }
+};
+
+
+// Series detail as /detail returns it, plus when it was scraped.
+// Resolves to null when the series has never been scraped.
+const getSeriesFromDB = async (slug) => {
+  const series = await sql`SELECT * FROM series WHERE slug = ${slug}`;
+  if (!series?.length) return null;
+
+  const chapters = await sql`
+    SELECT link, title, name, date FROM chapters
+    WHERE series_slug = ${slug}
+    ORDER BY position
+  `;
+
+  const row = series[0];
+  return {
+    detail: {
+      title: row.title,
+      thumbnail: row.thumbnail,
+      rating: row.rating,
+      genres: parseJson(row.genres, []),
+      chapters: chapters.map(chapter => ({
+        chapterTitle: chapter.title,
+        chapterLink: chapter.link,
+        chapterName: chapter.name,
+        chapterDate: chapter.date
+      }))
+    },
+    scrapedAt: new Date(row.scraped_at)
+  };
+};
+
+// Chapters keep their first_seen_at across saves; ones that disappeared from
+// the source's list are removed. Resolves to the chapters that were not in the
+// stored list before (none on the first save). For tracked series those are
+// also recorded in chapter_updates.
+const saveSeriesToDB = async (slug, sourceName, url, detail) => {
+  const scrapedAt = new Date();
+
+  // One transaction, so concurrent refreshes of a series (watcher, /detail,
+  // /track) cannot delete each other's chapters or be read half done
+  return sql.begin(async (sql) => {
+    const existing = await sql`SELECT tracked_at FROM series WHERE slug = ${slug}`;
+    const known = new Set((await sql`SELECT link FROM chapters WHERE series_slug = ${slug}`).map(row => row.link));
+
+    await sql`
+      INSERT INTO series (slug, source, url, title, thumbnail, rating, genres, scraped_at, updated_at)
+      VALUES (
+        ${slug}, ${sourceName}, ${url}, ${detail.title || null}, ${detail.thumbnail || null},
+        ${detail.rating || null}, ${JSON.stringify(detail.genres || [])}, ${scrapedAt}, CURRENT_TIMESTAMP
+      )
+      ON CONFLICT (slug) DO UPDATE SET
+        url = EXCLUDED.url,
+        title = EXCLUDED.title,
+        thumbnail = EXCLUDED.thumbnail,
+        rating = EXCLUDED.rating,
+        genres = EXCLUDED.genres,
+        scraped_at = EXCLUDED.scraped_at,
+        updated_at = CURRENT_TIMESTAMP
+    `;
+
+    // Everything still listed gets a real position back below
+    await sql`UPDATE chapters SET position = -1 WHERE series_slug = ${slug}`;
+
+    const chapters = (detail.chapters || []).filter(chapter => chapter.chapterLink);
+    for (let i = 0; i < chapters.length; i++) {
+      const chapter = chapters[i];
+      await sql`
+        INSERT INTO chapters (series_slug, link, position, title, name, date)
+        VALUES (
+          ${slug}, ${chapter.chapterLink}, ${i}, ${chapter.chapterTitle || null},
+          ${chapter.chapterName || null}, ${chapter.chapterDate || null}
+        )
+        ON CONFLICT (series_slug, link) DO UPDATE SET
+          position = EXCLUDED.position,
+          title = EXCLUDED.title,
+          name = EXCLUDED.name,
+          date = EXCLUDED.date
+      `;
+    }
+
+    await sql`DELETE FROM chapters WHERE series_slug = ${slug} AND position = -1`;
+
+    if (existing.length === 0) return [];
+    const newChapters = chapters.filter(chapter => !known.has(chapter.chapterLink));
+
+    if (existing[0].tracked_at) {
+      for (const chapter of newChapters) {
+        await sql`
+          INSERT INTO chapter_updates (series_slug, link, title, name, found_at)
+          VALUES (${slug}, ${chapter.chapterLink}, ${chapter.chapterTitle || null}, ${chapter.chapterName || null}, ${scrapedAt})
+          ON CONFLICT (series_slug, link) DO NOTHING
+        `;
+      }
+    }
+
+    return newChapters;
+  });
+};
+
+// Finds the stored series a chapter belongs to. `links` are the forms the
+// chapter link may have been stored in (relative, absolute, with or without
+// the trailing slash). Resolves to { seriesSlug, title, name, date } or null.
+const getChapterFromDB = async (links) => {
+  const [a, b = a, c = a, d = a] = links;
+  const rows = await sql`
+    SELECT series_slug, title, name, date FROM chapters
+    WHERE link IN (${a}, ${b}, ${c}, ${d})
+    LIMIT 1
+  `;
+  if (!rows?.length) return null;
+  const { series_slug: seriesSlug, title, name, date } = rows[0];
+  return { seriesSlug, title, name, date };
+};
+
+// Starts or stops following a series. Resolves to false when the series has
+// never been scraped.
+const setSeriesTracked = async (slug, tracked, { prefetch = false } = {}) => {
+  const rows = tracked
+    ? await sql`
+      UPDATE series SET tracked_at = ${new Date()}, prefetch = ${prefetch ? 1 : 0}
+      WHERE slug = ${slug}
+      RETURNING slug
+    `
+    : await sql`
+      UPDATE series SET tracked_at = NULL, prefetch = 0
+      WHERE slug = ${slug}
+      RETURNING slug
+    `;
+  return rows.length > 0;
+};
+
+const getTrackedSeries = () => sql`
+  SELECT slug, source, url, title, thumbnail, tracked_at, last_checked_at, prefetch
+  FROM series
+  WHERE tracked_at IS NOT NULL
+  ORDER BY tracked_at
+`;
+
+const markSeriesChecked = (slug) => sql`
+  UPDATE series SET last_checked_at = ${new Date()} WHERE slug = ${slug}
+`;
+
+// Newest first; `since` limits the list to chapters found after that date
+const getChapterUpdates = ({ since = new Date(0), seriesSlug, limit = 50 } = {}) => seriesSlug
+  ? sql`
+    SELECT u.*, s.source, s.title AS series_title, s.thumbnail
+    FROM chapter_updates u
+    JOIN series s ON s.slug = u.series_slug
+    WHERE u.found_at > ${since} AND u.series_slug = ${seriesSlug}
+    ORDER BY u.found_at DESC
+    LIMIT ${limit}
+  `
+  : sql`
+    SELECT u.*, s.source, s.title AS series_title, s.thumbnail
+    FROM chapter_updates u
+    JOIN series s ON s.slug = u.series_slug
+    WHERE u.found_at > ${since}
+    ORDER BY u.found_at DESC
+    LIMIT ${limit}
+  `;
+
+// Recorded new chapters of a series that have not been prefetched yet,
+// oldest first; ones whose prefetch failed are included again
+const getUnprefetchedChapters = (seriesSlug, limit = 20) => sql`
+  SELECT link, title, name FROM chapter_updates
+  WHERE series_slug = ${seriesSlug} AND prefetched_at IS NULL
+  ORDER BY found_at
+  LIMIT ${limit}
+`;
+
+const markChapterPrefetched = (seriesSlug, link, error = null) => sql`
+  UPDATE chapter_updates SET
+    prefetched_at = ${error ? null : new Date()},
+    prefetch_error = ${error}
+  WHERE series_slug = ${seriesSlug} AND link = ${link}
+`;
+
+// Fills in the size and perceptual hash of a page stored before they were
+// recorded
+const savePageInfo = (slug, pageIndex, { width, height, phash }) => sql`
+  UPDATE chapter_images
+  SET width = ${width}, height = ${height}, phash = ${phash}, updated_at = CURRENT_TIMESTAMP
+  WHERE comic_slug = ${slug} AND page_index = ${pageIndex}
+`;
+
+// A stored image by its SHA-256, shaped like the page fields it fills in
+// ({ url, size, width, height, phash, variants }), or null
+const getBlob = async (contentHash) => {
+  const results = await sql`
+    SELECT cdn_url, size, width, height, phash, variants
+    FROM blobs
+    WHERE content_hash = ${contentHash}
+  `;
+  const row = results?.[0];
+  if (!row) return null;
+  return {
+    url: row.cdn_url,
+    size: row.size ?? null,
+    width: row.width ?? null,
+    height: row.height ?? null,
+    phash: row.phash || null,
+    variants: parseJson(row.variants, {})
+  };
+};
+
+// Two chapters uploading the same image at once both get here; the first
+// one wins and the other upload is simply never referenced again
+const saveBlob = (contentHash, page) => sql`
+  INSERT INTO blobs (content_hash, cdn_url, size, width, height, phash, variants)
+  VALUES (
+    ${contentHash}, ${page.url}, ${page.size}, ${page.width}, ${page.height},
+    ${page.phash || null}, ${JSON.stringify(page.variants || {})}
+  )
+  ON CONFLICT (content_hash) DO NOTHING
+`;
+
+const getJunkHashes = () => sql`
+  SELECT phash, note, created_at FROM junk_hashes ORDER BY created_at
+`;
+
+const addJunkHash = (phash, note = null) => sql`
+  INSERT INTO junk_hashes (phash, note, created_at)
+  VALUES (${phash}, ${note}, ${new Date()})
+  ON CONFLICT (phash) DO UPDATE SET note = EXCLUDED.note
+`;
+
+// Resolves to false when the hash was not listed
+const removeJunkHash = async (phash) => {
+  const rows = await sql`DELETE FROM junk_hashes WHERE phash = ${phash} RETURNING phash`;
+  return rows.length > 0;
+};
+
+// An uploaded thumbnail ({ url, width, height }), optionally pinned to the
+// URL it came from. Null when it has not been uploaded.
+const getThumbnailFromDB = async (fileName, sourceUrl) => {
+  const results = sourceUrl
+    ? await sql`SELECT cdn_url, width, height FROM thumbnails WHERE filename = ${fileName} AND source_url = ${sourceUrl}`
+    : await sql`SELECT cdn_url, width, height FROM thumbnails WHERE filename = ${fileName}`;
+  const row = results?.[0];
+  if (!row?.cdn_url) return null;
+  return { url: row.cdn_url, width: row.width ?? null, height: row.height ?? null };
+};
+
+const saveThumbnailToDB = (fileName, sourceUrl, cdnUrl, { width = null, height = null } = {}) => sql`
+  INSERT INTO thumbnails (filename, source_url, cdn_url, width, height)
+  VALUES (${fileName}, ${sourceUrl}, ${cdnUrl}, ${width}, ${height})
+  ON CONFLICT (filename) DO UPDATE SET
+    cdn_url = EXCLUDED.cdn_url,
+    width = EXCLUDED.width,
+    height = EXCLUDED.height,
+    updated_at = CURRENT_TIMESTAMP
+`;
+
+const createApiKey = ({ id, name, role, keyHash }) => sql`
+  INSERT INTO api_keys (id, name, role, key_hash, created_at)
+  VALUES (${id}, ${name}, ${role}, ${keyHash}, ${new Date()})
+`;
+
+// The key with this hash, unless it was revoked
+const getApiKeyByHash = async (keyHash) => {
+  const results = await sql`
+    SELECT id, name, role FROM api_keys
+    WHERE key_hash = ${keyHash} AND revoked_at IS NULL
+  `;
+  return results?.[0] || null;
+};
+
+const listApiKeys = () => sql`
+  SELECT id, name, role, created_at, last_used_at, revoked_at
+  FROM api_keys
+  ORDER BY created_at
+`;
+
+const touchApiKey = (id) => sql`
+  UPDATE api_keys SET last_used_at = ${new Date()} WHERE id = ${id}
+`;
+
+// Resolves to false when there is no such key or it was revoked already
+const revokeApiKey = async (id) => {
+  const rows = await sql`
+    UPDATE api_keys SET revoked_at = ${new Date()}
+    WHERE id = ${id} AND revoked_at IS NULL
+    RETURNING id
+  `;
+  return rows.length > 0;
+};
+
+// What has been stored, counted from the database so it works with every
+// storage driver. Renditions are not included in the byte counts.
+const getStorageUsage = async () => {
+  const [pages] = await sql`
+    SELECT
+      COUNT(*) AS total,
+      SUM(CASE WHEN status = 'uploaded' THEN 1 ELSE 0 END) AS uploaded,
+      SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) AS failed,
+      COUNT(DISTINCT comic_slug) AS chapters
+    FROM chapter_images
+  `;
+  const [blobs] = await sql`SELECT COUNT(*) AS count, SUM(size) AS bytes FROM blobs`;
+  const [thumbnails] = await sql`SELECT COUNT(*) AS count FROM thumbnails WHERE cdn_url IS NOT NULL`;
+  // Postgres answers COUNT and SUM as strings
+  return {
+    chapters: Number(pages.chapters) || 0,
+    pages: Number(pages.total) || 0,
+    uploadedPages: Number(pages.uploaded) || 0,
+    failedPages: Number(pages.failed) || 0,
+    blobs: Number(blobs.count) || 0,
+    blobBytes: Number(blobs.bytes) || 0,
+    thumbnails: Number(thumbnails.count) || 0
+  };
+};
+
+// Pages that could not be uploaded, most recent first
+const getFailedPages = (limit = 20) => sql`
+  SELECT comic_slug, page_index, source_url, error, updated_at
+  FROM chapter_images
+  WHERE status = 'failed'
+  ORDER BY updated_at DESC
+  LIMIT ${limit}
+`;
+
+module.exports = {
+  sql,
+  dialect,
+  migrate: () => migrate(sql, dialect),
+  getComicFromDB,
+  getComicsFromDB,
+  saveComicToDB,
+  getSeriesFromDB,
+  saveSeriesToDB,
+  getChapterFromDB,
+  setSeriesTracked,
+  getTrackedSeries,
+  markSeriesChecked,
+  getChapterUpdates,
+  getUnprefetchedChapters,
+  markChapterPrefetched,
+  savePageInfo,
+  getBlob,
+  saveBlob,
+  getJunkHashes,
+  addJunkHash,
+  removeJunkHash,
+  createApiKey,
+  getApiKeyByHash,
+  listApiKeys,
+  touchApiKey,
+  revokeApiKey,
+  getStorageUsage,
+  getFailedPages,
+  getThumbnailFromDB,
+  saveThumbnailToDB
+};
@@ -0,0 +1,72 @@
+// Schema migrations
+//
+// Every file in ./migrations is one step, applied in file name order and
+// recorded in `schema_migrations` so it only ever runs once. A migration
+// exports up(sql, helpers) and should write SQL both Postgres and SQLite
+// accept; helpers.dialect is there for the few places they differ.
+//
+// Each migration runs in a transaction together with its schema_migrations
+// row, so one that fails halfway leaves nothing behind and runs again in full
+// on the next start.
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+const listMigrations = () => fs.readdirSync(MIGRATIONS_DIR)
+  .filter(file => file.endsWith('.js'))
+  .sort()
+  .map(file => ({ id: path.basename(file, '.js'), file: path.join(MIGRATIONS_DIR, file) }));
+
+const createHelpers = (sql, dialect) => ({
+  dialect,
+
+  // Tables created by hand before migrations existed may lack newer columns
+  addColumnIfMissing: async (table, column, definition) => {
+    if (dialect === 'postgres') {
+      await sql.unsafe(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS ${column} ${definition}`);
+      return;
+    }
+
+    const columns = await sql`SELECT name FROM pragma_table_info(${table})`;
+    if (!columns.some(c => c.name === column)) {
+      await sql.unsafe(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+  }
+});
+
+/**
+ * Applies pending migrations.
+ * @returns {Promise<string[]>} ids of the migrations that ran
+ */
+const migrate = async (sql, dialect) => {
+  await sql`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      id TEXT PRIMARY KEY,
+      applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )
+  `;
+
+  const applied = new Set((await sql`SELECT id FROM schema_migrations`).map(row => row.id));
+  const ran = [];
+
+  for (const { id, file } of listMigrations()) {
+    if (applied.has(id)) continue;
+
+    console.log(`🗄️ Applying migration ${id}`);
+    try {
+      await sql.begin(async (tx) => {
+        await require(file).up(tx, createHelpers(tx, dialect));
+        await tx`INSERT INTO schema_migrations (id) VALUES (${id})`;
+      });
+    } catch (error) {
+      throw new Error(`Migration ${id} failed: ${error.message}`);
+    }
+    ran.push(id);
+  }
+
+  return ran;
+};
+
+module.exports = { migrate };
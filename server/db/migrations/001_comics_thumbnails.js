@@ -0,0 +1,32 @@
+// comics and thumbnails, as the server has always used them.
+// Databases that already have these tables keep their data; only the
+// columns added after the fact are filled in.
+
+module.exports = {
+  up: async (sql, { addColumnIfMissing }) => {
+    await sql`
+      CREATE TABLE IF NOT EXISTS comics (
+        slug TEXT PRIMARY KEY,
+        url TEXT NOT NULL,
+        image_url TEXT NOT NULL,
+        total_images INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP
+      )
+    `;
+    await addColumnIfMissing('comics', 'total_images', 'INTEGER NOT NULL DEFAULT 0');
+    await addColumnIfMissing('comics', 'updated_at', 'TIMESTAMP');
+
+    await sql`
+      CREATE TABLE IF NOT EXISTS thumbnails (
+        filename TEXT PRIMARY KEY,
+        source_url TEXT,
+        cdn_url TEXT NOT NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP
+      )
+    `;
+    await addColumnIfMissing('thumbnails', 'source_url', 'TEXT');
+    await addColumnIfMissing('thumbnails', 'updated_at', 'TIMESTAMP');
+  }
+};
@@ -0,0 +1,23 @@
+// Persistent job queue (see server/jobs/queue.js)
+
+module.exports = {
+  up: async (sql) => {
+    await sql`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id TEXT PRIMARY KEY,
+        type TEXT NOT NULL,
+        lane TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'queued',
+        params TEXT NOT NULL,
+        progress TEXT,
+        result TEXT,
+        error TEXT,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        started_at TIMESTAMP,
+        finished_at TIMESTAMP
+      )
+    `;
+    await sql`CREATE INDEX IF NOT EXISTS jobs_lane_status_idx ON jobs (lane, status, created_at)`;
+  }
+};
@@ -0,0 +1,45 @@
+// One row per chapter page instead of the comma-joined comics.image_url.
+// Pages already in image_url are copied over as uploaded pages; their source
+// URL, size, dimensions and hash were never recorded, so those stay empty.
+//
+// image_url itself stays, and saveComicToDB keeps writing it, so the release
+// before this one can still run against the database. Drop it in a later
+// migration once nothing reads it.
+
+module.exports = {
+  up: async (sql) => {
+    await sql`
+      CREATE TABLE IF NOT EXISTS chapter_images (
+        comic_slug TEXT NOT NULL,
+        page_index INTEGER NOT NULL,
+        source_url TEXT,
+        cdn_url TEXT,
+        size INTEGER,
+        width INTEGER,
+        height INTEGER,
+        content_hash TEXT,
+        status TEXT NOT NULL DEFAULT 'pending',
+        error TEXT,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (comic_slug, page_index)
+      )
+    `;
+
+    const comics = await sql`
+      SELECT slug, image_url FROM comics WHERE image_url IS NOT NULL AND image_url <> ''
+    `;
+    for (const { slug, image_url } of comics) {
+      const urls = image_url.split(',');
+      for (let i = 0; i < urls.length; i++) {
+        await sql`
+          INSERT INTO chapter_images (comic_slug, page_index, cdn_url, status)
+          VALUES (${slug}, ${i}, ${urls[i]}, 'uploaded')
+          ON CONFLICT (comic_slug, page_index) DO NOTHING
+        `;
+      }
+    }
+    if (comics.length > 0) {
+      console.log(`Copied the pages of ${comics.length} comic(s) into chapter_images`);
+    }
+  }
+};
@@ -0,0 +1,34 @@
+// Series metadata and chapter lists scraped by /detail.
+// chapters.first_seen_at records when a chapter first showed up in the list.
+
+module.exports = {
+  up: async (sql) => {
+    await sql`
+      CREATE TABLE IF NOT EXISTS series (
+        slug TEXT PRIMARY KEY,
+        source TEXT NOT NULL,
+        url TEXT NOT NULL,
+        title TEXT,
+        thumbnail TEXT,
+        rating TEXT,
+        genres TEXT,
+        scraped_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP
+      )
+    `;
+
+    await sql`
+      CREATE TABLE IF NOT EXISTS chapters (
+        series_slug TEXT NOT NULL,
+        link TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        title TEXT,
+        name TEXT,
+        date TEXT,
+        first_seen_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (series_slug, link)
+      )
+    `;
+  }
+};
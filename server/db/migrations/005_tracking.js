@@ -0,0 +1,24 @@
+// Tracked series and the chapters the watcher found on them.
+// series.tracked_at is null for series nobody follows; prefetch is 0 or 1.
+
+module.exports = {
+  up: async (sql, { addColumnIfMissing }) => {
+    await addColumnIfMissing('series', 'tracked_at', 'TIMESTAMP');
+    await addColumnIfMissing('series', 'last_checked_at', 'TIMESTAMP');
+    await addColumnIfMissing('series', 'prefetch', 'INTEGER NOT NULL DEFAULT 0');
+
+    await sql`
+      CREATE TABLE IF NOT EXISTS chapter_updates (
+        series_slug TEXT NOT NULL,
+        link TEXT NOT NULL,
+        title TEXT,
+        name TEXT,
+        found_at TIMESTAMP NOT NULL,
+        prefetched_at TIMESTAMP,
+        prefetch_error TEXT,
+        PRIMARY KEY (series_slug, link)
+      )
+    `;
+    await sql`CREATE INDEX IF NOT EXISTS chapter_updates_found_at_idx ON chapter_updates (found_at)`;
+  }
+};
@@ -0,0 +1,8 @@
+// Renditions of each chapter page (WebP, AVIF, mobile, preview), as JSON:
+// { name: { url, width, height, type } }.
+
+module.exports = {
+  up: async (sql, { addColumnIfMissing }) => {
+    await addColumnIfMissing('chapter_images', 'variants', 'TEXT');
+  }
+};
@@ -0,0 +1,9 @@
+// Pixel size of stored thumbnails, so clients can reserve space before the
+// image loads. Null for thumbnails uploaded before this was recorded.
+
+module.exports = {
+  up: async (sql, { addColumnIfMissing }) => {
+    await addColumnIfMissing('thumbnails', 'width', 'INTEGER');
+    await addColumnIfMissing('thumbnails', 'height', 'INTEGER');
+  }
+};
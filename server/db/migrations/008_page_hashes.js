@@ -0,0 +1,30 @@
+// Perceptual hashes of chapter pages, the hashes of known credit/ad pages,
+// and blobs: every distinct image stored once, keyed by its SHA-256, so a page
+// that shows up in many chapters is only uploaded the first time.
+
+module.exports = {
+  up: async (sql, { addColumnIfMissing }) => {
+    await addColumnIfMissing('chapter_images', 'phash', 'TEXT');
+
+    await sql`
+      CREATE TABLE IF NOT EXISTS junk_hashes (
+        phash TEXT PRIMARY KEY,
+        note TEXT,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    await sql`
+      CREATE TABLE IF NOT EXISTS blobs (
+        content_hash TEXT PRIMARY KEY,
+        cdn_url TEXT NOT NULL,
+        size INTEGER,
+        width INTEGER,
+        height INTEGER,
+        phash TEXT,
+        variants TEXT,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+  }
+};
@@ -0,0 +1,18 @@
+// API keys. Only the SHA-256 of a key is stored; the key itself is shown once
+// when it is issued. role is reader, crawler or admin.
+
+module.exports = {
+  up: async (sql) => {
+    await sql`
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id TEXT PRIMARY KEY,
+        name TEXT,
+        role TEXT NOT NULL,
+        key_hash TEXT NOT NULL UNIQUE,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        last_used_at TIMESTAMP,
+        revoked_at TIMESTAMP
+      )
+    `;
+  }
+};
@@ -0,0 +1,8 @@
+// When a cancel was asked for. Set by the process that got the request, so
+// the one running the job sees it and aborts the handler.
+
+module.exports = {
+  up: async (sql, { addColumnIfMissing }) => {
+    await addColumnIfMissing('jobs', 'cancel_requested_at', 'TIMESTAMP');
+  }
+};
@@ -0,0 +1,10 @@
+// Puts comics.image_url back where an earlier version of 003_chapter_images
+// dropped it, so every database has the column saveComicToDB writes. The
+// pages it held are in chapter_images; it fills up again as chapters are
+// saved.
+
+module.exports = {
+  up: async (sql, { addColumnIfMissing }) => {
+    await addColumnIfMissing('comics', 'image_url', 'TEXT');
+  }
+};
@@ -0,0 +1,110 @@
+// Embedded SQLite driver
+//
+// Exposes the same tagged template interface as the Postgres `sql` from
+// ../config.js, so the query helpers run unchanged against a local file:
+//
+//   const rows = await sql`SELECT * FROM comics WHERE slug = ${slug}`;
+//
+// Statements that return rows (SELECT, or anything with RETURNING) resolve to
+// an array of rows; everything else resolves to an empty array.
+//
+// sql.begin(async sql => ...) runs a transaction like postgres.js does. There
+// is one connection, so queries made outside the transaction wait until it
+// ends; inside it, only use the `sql` handed to the callback.
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// SQLite has no native date or boolean type
+const toParam = (value) => {
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value === undefined) return null;
+  return value;
+};
+
+/**
+ * @param {string} file - database file, created if missing
+ */
+const createSqlite = (file) => {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+
+  const statements = new Map(); // query text -> prepared statement
+  let transaction = null; // settles when the running transaction ends
+
+  const run = (text, values) => {
+    if (!statements.has(text)) statements.set(text, db.prepare(text));
+    const stmt = statements.get(text);
+    const params = values.map(toParam);
+    return stmt.reader ? stmt.all(...params) : (stmt.run(...params), []);
+  };
+
+  const waitForTransaction = async () => {
+    while (transaction) await transaction;
+  };
+
+  // Wrapped in a promise so callers can chain .catch() like with postgres
+  const query = (strings, ...values) => new Promise((resolve, reject) => {
+    try {
+      resolve(run(strings.join('?'), values));
+    } catch (error) {
+      reject(error);
+    }
+  });
+
+  // Raw SQL, possibly several statements (used by migrations)
+  const unsafe = (text) => new Promise((resolve, reject) => {
+    try {
+      db.exec(text);
+      resolve([]);
+    } catch (error) {
+      reject(error);
+    }
+  });
+
+  // The handle a transaction callback gets; it skips the wait
+  const inTransaction = (...args) => query(...args);
+  inTransaction.unsafe = unsafe;
+
+  const sql = (strings, ...values) => transaction
+    ? waitForTransaction().then(() => sql(strings, ...values))
+    : query(strings, ...values);
+
+  sql.unsafe = (text) => transaction
+    ? waitForTransaction().then(() => sql.unsafe(text))
+    : unsafe(text);
+
+  // Commits when fn resolves and rolls back when it throws
+  sql.begin = async (fn) => {
+    // Checked and claimed in the same tick, so two waiting transactions
+    // cannot both start
+    while (transaction) await transaction;
+    let end;
+    transaction = new Promise(resolve => { end = resolve; });
+    try {
+      db.exec('BEGIN IMMEDIATE');
+      try {
+        const result = await fn(inTransaction);
+        db.exec('COMMIT');
+        return result;
+      } catch (error) {
+        db.exec('ROLLBACK');
+        throw error;
+      }
+    } finally {
+      transaction = null;
+      end();
+    }
+  };
+
+  sql.end = async () => db.close();
+
+  return sql;
+};
+
+module.exports = { createSqlite };
@@ -0,0 +1,55 @@
+// CBZ: the chapter's pages in reading order in a zip, plus ComicInfo.xml.
+// Images are already compressed, so entries are stored as they are. Pages that
+// fail to download are left out.
+
+const archiver = require('archiver');
+const { pageBuffers, watchOutput } = require('./chapter');
+const { buildComicInfo } = require('./comicInfo');
+const { appendEntry } = require('./zip');
+const { imageSize } = require('../imageInfo');
+
+/**
+ * Streams the archive into `output` while pages are still being downloaded.
+ * @param {object} chapter - from loadChapter
+ * @param {import('stream').Writable} output
+ * @param {object} options
+ * @param {string} options.referer - sent when downloading pages
+ * @param {AbortSignal} [options.signal] - stops the download early
+ * @returns {Promise<{pages: number, skipped: number}>}
+ */
+const writeCbz = async (chapter, output, { referer, signal } = {}) => {
+  const archive = archiver('zip', { store: true });
+  const { done, failed } = watchOutput(archive, output);
+  archive.pipe(output);
+
+  // Zero-padded so readers that sort by name keep the order
+  const digits = String(chapter.pages.length).length;
+  const written = [];
+  const sizes = [];
+  let skipped = 0;
+
+  for await (const { page, buffer, ext } of pageBuffers(chapter.pages, referer)) {
+    if (failed()) throw failed();
+    if (signal?.aborted) {
+      archive.abort();
+      return { pages: sizes.length, skipped };
+    }
+    if (!buffer) {
+      skipped++;
+      continue;
+    }
+    const index = sizes.length;
+    const { width = null, height = null } = imageSize(buffer) || {};
+    written.push(page);
+    sizes.push({ width, height, size: buffer.length });
+    await appendEntry(archive, buffer, { name: `${String(index + 1).padStart(digits, '0')}${ext}` }, signal);
+  }
+
+  // Only the pages that made it into the archive
+  archive.append(buildComicInfo({ ...chapter, pages: written }, sizes), { name: 'ComicInfo.xml' });
+  await archive.finalize();
+  await done;
+  return { pages: sizes.length, skipped };
+};
+
+module.exports = { writeCbz };
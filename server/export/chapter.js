@@ -0,0 +1,150 @@
+// What the exporters work from: a chapter's ordered pages plus the series it
+// belongs to. A single chapter is resolved the same way /get-comic resolves
+// it; a whole series is only exported from the chapters already stored, so
+// one request never scrapes and uploads a series' worth of pages.
+
+const path = require('path');
+const { sourceKey, parseSourceKey, chapterSlug } = require('../sources');
+const { fetchImageBuffer } = require('../http');
+const { imageSize } = require('../imageInfo');
+const { getChapterFromDB, getComicsFromDB } = require('../db');
+
+// "Chapter 12", "Ch. 3.5", "Oneshot 2" -> 12, 3.5, 2
+const chapterNumber = (title) => {
+  if (!title) return null;
+  const match = title.match(/(?:chapter|chap|ch\.?)\s*(\d+(?:\.\d+)?)/i) || title.match(/(\d+(?:\.\d+)?)(?!.*\d)/);
+  return match ? match[1] : null;
+};
+
+// The series fields of an exported chapter, from the series' /detail
+const seriesInfo = (source, seriesSlug, detail) => ({
+  slug: seriesSlug,
+  url: source.detailUrl(seriesSlug),
+  title: detail.title?.trim() || seriesSlug,
+  thumbnail: detail.thumbnail || null,
+  genres: detail.genres || [],
+  chapters: detail.chapters
+});
+
+const toChapter = (source, slug, pages, series) => {
+  const chapter = series?.chapters.find(c => c.chapterLink && chapterSlug(source, c.chapterLink) === slug);
+  const title = chapter?.chapterTitle || slug;
+  return {
+    slug,
+    url: source.chapterUrl(slug),
+    title,
+    number: chapterNumber(title),
+    date: chapter?.chapterDate || null,
+    language: source.language || null,
+    // Pages that failed to upload are left out
+    pages: pages.filter(page => page.url),
+    series
+  };
+};
+
+/**
+ * @param {object} services
+ * @param {object} services.comics - from createComicService
+ * @param {object} services.series - from createSeriesService
+ * @param {object} source - source adapter
+ * @param {string} slug - chapter slug, as /get-comic takes it
+ * @param {string} [seriesSlug] - the series, when the caller knows it
+ * @returns {Promise<object|null>} { slug, url, title, number, date, language,
+ *   pages, series }, or null when the chapter does not exist. `series` is
+ *   null when the chapter is not in any stored series and none was given.
+ */
+const loadChapter = async ({ comics, series }, source, slug, seriesSlug) => {
+  const comic = await comics.getComic(source, slug);
+  if (!comic) return null;
+
+  if (!seriesSlug) {
+    const stored = await getChapterFromDB([
+      `/${slug}/`, `${source.baseUrl}${slug}/`, `/${slug}`, `${source.baseUrl}${slug}`
+    ]).catch(() => null);
+    if (stored) seriesSlug = parseSourceKey(stored.seriesSlug, source.name).slug;
+  }
+
+  let info = null;
+  if (seriesSlug) {
+    const { detail } = await series.getDetail(source, seriesSlug);
+    info = seriesInfo(source, seriesSlug, detail);
+  }
+  return toChapter(source, slug, comic.images, info);
+};
+
+/**
+ * The stored chapters of a series in reading order (the source lists the
+ * newest first), read in one query. Chapters never stored are not scraped;
+ * they are listed in `missing` instead.
+ * @param {object} source - source adapter
+ * @param {string} seriesSlug
+ * @param {object} detail - the series' /detail
+ * @returns {Promise<{ chapters: object[], missing: string[] }>} chapters as
+ *   loadChapter returns them, and the slugs of the ones not stored
+ */
+const loadStoredChapters = async (source, seriesSlug, detail) => {
+  const info = seriesInfo(source, seriesSlug, detail);
+  const slugs = detail.chapters
+    .filter(chapter => chapter.chapterLink)
+    .reverse()
+    .map(chapter => chapterSlug(source, chapter.chapterLink));
+  const stored = await getComicsFromDB(slugs.map(slug => sourceKey(source, slug)));
+
+  const chapters = [];
+  const missing = [];
+  for (const slug of slugs) {
+    const pages = stored.get(sourceKey(source, slug));
+    if (pages) chapters.push(toChapter(source, slug, pages, info));
+    else missing.push(slug);
+  }
+  return { chapters, missing };
+};
+
+/**
+ * Downloads pages one at a time, so only one image is held in memory. A page
+ * that fails to download comes through with a null buffer, so one dead image
+ * does not cost the whole export; callers skip and count it.
+ * @param {object[]} pages - page objects from loadChapter
+ * @param {string} referer
+ * @yields {{ page: object, buffer: Buffer|null, ext: string|null }}
+ */
+async function* pageBuffers(pages, referer) {
+  for (const page of pages) {
+    let buffer;
+    try {
+      buffer = await fetchImageBuffer(page.url, referer);
+    } catch (err) {
+      console.error(`Export skipped page ${page.url}:`, err.message);
+      yield { page, buffer: null, ext: null };
+      continue;
+    }
+    const type = imageSize(buffer)?.type;
+    const ext = type
+      ? `.${type === 'jpeg' ? 'jpg' : type}`
+      : (path.extname(new URL(page.url).pathname) || '.jpg');
+    yield { page, buffer, ext };
+  }
+}
+
+/**
+ * Settles with the output stream: resolves once it is written, rejects when
+ * it or `emitter` (the archive or PDF document) fails. The rejection is handled
+ * right away, since it can come while pages are still downloading; the
+ * returned `failed()` tells the page loop to stop.
+ * @param {import('events').EventEmitter} emitter
+ * @param {import('stream').Writable} output
+ * @returns {{ done: Promise<void>, failed: () => Error|null }}
+ */
+const watchOutput = (emitter, output) => {
+  let failure = null;
+  const done = new Promise((resolve, reject) => {
+    emitter.on('error', reject);
+    output.on('error', reject);
+    output.on('close', resolve);
+    output.on('finish', resolve);
+  });
+  done.catch(err => { failure = err; });
+  return { done, failed: () => failure };
+};
+
+module.exports = { loadChapter, loadStoredChapters, pageBuffers, watchOutput, chapterNumber };
@@ -0,0 +1,44 @@
+// ComicInfo.xml (the ComicRack / Anansi schema most comic readers read)
+
+const { escapeXml } = require('../atom');
+
+const element = (name, value) =>
+  value === null || value === undefined || value === '' ? '' : `  <${name}>${escapeXml(value)}</${name}>\n`;
+
+/**
+ * @param {object} chapter - from loadChapter
+ * @param {object[]} [sizes] - { width, height, size } per page, when known
+ * @returns {string} the ComicInfo.xml document
+ */
+const buildComicInfo = (chapter, sizes = []) => {
+  const pages = chapter.pages.map((page, i) => {
+    const { width, height, size } = sizes[i] || page;
+    const attrs = [
+      `Image="${i}"`,
+      i === 0 ? 'Type="FrontCover"' : '',
+      size ? `ImageSize="${size}"` : '',
+      width ? `ImageWidth="${width}"` : '',
+      height ? `ImageHeight="${height}"` : ''
+    ].filter(Boolean).join(' ');
+    return `    <Page ${attrs}/>`;
+  });
+
+  return '<?xml version="1.0" encoding="utf-8"?>\n' +
+    '<ComicInfo xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">\n' +
+    element('Title', chapter.title) +
+    element('Series', chapter.series?.title) +
+    element('Number', chapter.number) +
+    element('Count', chapter.series?.chapters.length) +
+    element('Genre', chapter.series?.genres.join(', ')) +
+    element('Tags', chapter.series?.genres.join(', ')) +
+    element('Web', chapter.url) +
+    element('PageCount', chapter.pages.length) +
+    element('LanguageISO', chapter.language) +
+    element('Manga', 'YesAndRightToLeft') +
+    '  <Pages>\n' +
+    pages.join('\n') + (pages.length ? '\n' : '') +
+    '  </Pages>\n' +
+    '</ComicInfo>\n';
+};
+
+module.exports = { buildComicInfo };
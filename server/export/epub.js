@@ -0,0 +1,186 @@
+// Fixed-layout EPUB 3: one XHTML page per image, sized to the image, a cover
+// from the series thumbnail and a nav document with one entry per chapter.
+//
+// Pages are streamed into the zip as they download; the package document and
+// nav, which list every page, are written last. The `mimetype` entry has to
+// come first and uncompressed.
+
+const archiver = require('archiver');
+const { escapeXml } = require('../atom');
+const { pageBuffers, watchOutput } = require('./chapter');
+const { fetchImageBuffer } = require('../http');
+const { imageSize } = require('../imageInfo');
+const { appendEntry } = require('./zip');
+
+const MEDIA_TYPES = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp'
+};
+const EXTENSIONS = { jpeg: 'jpg', png: 'png', gif: 'gif', webp: 'webp' };
+
+const CONTAINER = `<?xml version="1.0" encoding="utf-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`;
+
+const pageXhtml = ({ title, image, width, height, language }) => `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${escapeXml(language)}">
+<head>
+  <title>${escapeXml(title)}</title>
+  <meta name="viewport" content="width=${width}, height=${height}"/>
+  <style>html, body { margin: 0; padding: 0; } img { display: block; width: ${width}px; height: ${height}px; }</style>
+</head>
+<body>
+  <img src="${escapeXml(image)}" alt="${escapeXml(title)}"/>
+</body>
+</html>
+`;
+
+const navXhtml = ({ title, chapters, language }) => `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${escapeXml(language)}">
+<head>
+  <title>${escapeXml(title)}</title>
+</head>
+<body>
+  <nav epub:type="toc" id="toc">
+    <h1>${escapeXml(title)}</h1>
+    <ol>
+${chapters.map(chapter => `      <li><a href="${escapeXml(chapter.href)}">${escapeXml(chapter.title)}</a></li>`).join('\n')}
+    </ol>
+  </nav>
+</body>
+</html>
+`;
+
+const packageOpf = ({ identifier, title, language, genres, items, spine }) => `<?xml version="1.0" encoding="utf-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${escapeXml(language)}">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">${escapeXml(identifier)}</dc:identifier>
+    <dc:title>${escapeXml(title)}</dc:title>
+    <dc:language>${escapeXml(language)}</dc:language>
+${genres.map(genre => `    <dc:subject>${escapeXml(genre)}</dc:subject>`).join('\n')}
+    <meta property="dcterms:modified">${new Date().toISOString().replace(/\.\d+Z$/, 'Z')}</meta>
+    <meta property="rendition:layout">pre-paginated</meta>
+    <meta property="rendition:orientation">auto</meta>
+    <meta property="rendition:spread">none</meta>
+  </metadata>
+  <manifest>
+${items.map(item => `    <item id="${item.id}" href="${escapeXml(item.href)}" media-type="${item.type}"${item.properties ? ` properties="${item.properties}"` : ''}/>`).join('\n')}
+  </manifest>
+  <spine>
+${spine.map(id => `    <itemref idref="${id}"/>`).join('\n')}
+  </spine>
+</package>
+`;
+
+/**
+ * @param {object} book
+ * @param {string} book.identifier - permanent id, e.g. the series URL
+ * @param {string} book.title
+ * @param {string} [book.language] - ISO 639-1 code
+ * @param {string[]} [book.genres]
+ * @param {string} [book.thumbnail] - cover image URL
+ * @param {AsyncIterable<object>|object[]} chapters - chapters from
+ *   loadChapter, in reading order
+ * @param {import('stream').Writable} output
+ * @param {object} options
+ * @param {string} options.referer - sent when downloading images
+ * @param {AbortSignal} [options.signal] - stops the build early
+ * @returns {Promise<{pages: number, skipped: number}>}
+ */
+const writeEpub = async (book, chapters, output, { referer, signal } = {}) => {
+  const language = book.language || 'en';
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  const { done, failed } = watchOutput(archive, output);
+  archive.pipe(output);
+
+  const append = (data, name, options = {}) => appendEntry(archive, data, { name, ...options }, signal);
+
+  await append('application/epub+zip', 'mimetype', { store: true });
+  await append(CONTAINER, 'META-INF/container.xml');
+
+  const items = [{ id: 'nav', href: 'nav.xhtml', type: 'application/xhtml+xml', properties: 'nav' }];
+  const spine = [];
+  const toc = [];
+  const stats = { pages: 0, skipped: 0 };
+
+  // Images are stored under their position in the book, uncompressed since
+  // they already are
+  const addPage = async (id, title, buffer, info, properties) => {
+    const image = `images/${id}.${EXTENSIONS[info.type]}`;
+    const page = `pages/${id}.xhtml`;
+    await append(buffer, `OEBPS/${image}`, { store: true });
+    await append(pageXhtml({ title, image: `../${image}`, width: info.width, height: info.height, language }), `OEBPS/${page}`);
+    items.push(
+      { id: `img-${id}`, href: image, type: MEDIA_TYPES[info.type], properties },
+      { id: `page-${id}`, href: page, type: 'application/xhtml+xml' }
+    );
+    spine.push(`page-${id}`);
+    return page;
+  };
+
+  if (book.thumbnail) {
+    try {
+      const buffer = await fetchImageBuffer(book.thumbnail, referer);
+      const info = imageSize(buffer);
+      if (info && MEDIA_TYPES[info.type]) await addPage('cover', book.title, buffer, info, 'cover-image');
+    } catch (err) {
+      console.error(`No cover for ${book.title}:`, err.message);
+    }
+  }
+
+  let chapterIndex = 0;
+  for await (const chapter of chapters) {
+    if (signal?.aborted) break;
+    chapterIndex++;
+
+    let firstPage = null;
+    let pageIndex = 0;
+    for await (const { buffer } of pageBuffers(chapter.pages, referer)) {
+      if (failed()) throw failed();
+      if (signal?.aborted) break;
+      pageIndex++;
+
+      const info = buffer && imageSize(buffer);
+      if (!info || !MEDIA_TYPES[info.type]) {
+        stats.skipped++;
+        continue;
+      }
+
+      const id = `c${String(chapterIndex).padStart(4, '0')}-p${String(pageIndex).padStart(4, '0')}`;
+      const page = await addPage(id, `${chapter.title} - ${pageIndex}`, buffer, info);
+      firstPage = firstPage || page;
+      stats.pages++;
+    }
+
+    if (firstPage) toc.push({ title: chapter.title, href: firstPage });
+  }
+
+  if (signal?.aborted) {
+    archive.abort();
+    return stats;
+  }
+
+  await append(navXhtml({ title: book.title, chapters: toc, language }), 'OEBPS/nav.xhtml');
+  await append(packageOpf({
+    identifier: book.identifier,
+    title: book.title,
+    language,
+    genres: book.genres || [],
+    items,
+    spine
+  }), 'OEBPS/content.opf');
+
+  await archive.finalize();
+  await done;
+  return stats;
+};
+
+module.exports = { writeEpub };
@@ -0,0 +1,92 @@
+// PDF: one page per image, each page the size of its image, with a bookmark
+// at the first page of every chapter.
+//
+// Pages are downloaded and written one at a time and the writer waits for the
+// client whenever it falls behind, so memory stays flat however many pages a
+// series has. PDF only embeds JPEG and PNG; pages in other formats are
+// converted to JPEG first, and pages that cannot be downloaded or decoded are
+// left out.
+
+const PDFDocument = require('pdfkit');
+const { pageBuffers, watchOutput } = require('./chapter');
+const { imageSize } = require('../imageInfo');
+const { toJpeg } = require('../imageProcessing');
+
+const EMBEDDABLE = ['jpeg', 'png'];
+const MAX_PAGE_SIZE = 14400; // largest page side PDF viewers accept, in points
+const MAX_BUFFERED = 4 * 1024 * 1024; // output held back before waiting
+
+/**
+ * @param {AsyncIterable<object>|object[]} chapters - chapters from loadChapter,
+ *   in reading order
+ * @param {import('stream').Writable} output
+ * @param {object} options
+ * @param {string} options.title - document title
+ * @param {string} options.referer - sent when downloading pages
+ * @param {AbortSignal} [options.signal] - stops the build early
+ * @returns {Promise<{pages: number, skipped: number}>}
+ */
+const writePdf = async (chapters, output, { title, referer, signal } = {}) => {
+  const doc = new PDFDocument({ autoFirstPage: false, info: { Title: title, Creator: 'doujin-reader' } });
+  const { done, failed } = watchOutput(doc, output);
+  doc.pipe(output);
+
+  const stats = { pages: 0, skipped: 0 };
+
+  for await (const chapter of chapters) {
+    let bookmarked = false;
+
+    for await (const page of pageBuffers(chapter.pages, referer)) {
+      if (failed()) throw failed();
+      if (signal?.aborted) break;
+
+      let { buffer } = page;
+      if (!buffer) {
+        stats.skipped++;
+        continue;
+      }
+      let info = imageSize(buffer);
+      if (!info || !EMBEDDABLE.includes(info.type)) {
+        try {
+          buffer = await toJpeg(buffer);
+          info = imageSize(buffer);
+        } catch (err) {
+          stats.skipped++;
+          continue;
+        }
+      }
+
+      const scale = Math.min(1, MAX_PAGE_SIZE / Math.max(info.width, info.height));
+      const width = info.width * scale;
+      const height = info.height * scale;
+      doc.addPage({ size: [width, height], margin: 0 });
+      doc.image(buffer, 0, 0, { width, height });
+      stats.pages++;
+
+      if (!bookmarked) {
+        doc.outline.addItem(chapter.title);
+        bookmarked = true;
+      }
+
+      // Let a slow client catch up before downloading the next page
+      while (!signal?.aborted && (doc.readableLength > MAX_BUFFERED || output.writableLength > MAX_BUFFERED)) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+      }
+    }
+
+    if (signal?.aborted) break;
+  }
+
+  if (signal?.aborted) {
+    doc.unpipe(output);
+    return stats;
+  }
+
+  // A PDF needs at least one page
+  if (stats.pages === 0) doc.addPage();
+  doc.end();
+  await done;
+  return stats;
+};
+
+module.exports = { writePdf };
@@ -0,0 +1,32 @@
+// Helpers for the zip based exports (CBZ, EPUB)
+
+/**
+ * Appends an entry and waits until archiver has written it, so a slow client
+ * holds back the downloads instead of piling images up in memory.
+ * @param {object} archive - archiver instance
+ * @param {Buffer|string} data
+ * @param {object} options - archiver entry options ({ name, store, ... })
+ * @param {AbortSignal} [signal] - stops waiting once aborted
+ * @returns {Promise<void>} rejects when the archive fails instead
+ */
+const appendEntry = (archive, data, options, signal) => new Promise((resolve, reject) => {
+  const cleanup = () => {
+    archive.off('entry', finish);
+    archive.off('error', fail);
+    signal?.removeEventListener('abort', finish);
+  };
+  const finish = () => {
+    cleanup();
+    resolve();
+  };
+  const fail = (err) => {
+    cleanup();
+    reject(err);
+  };
+  archive.on('entry', finish);
+  archive.on('error', fail);
+  signal?.addEventListener('abort', finish);
+  archive.append(data, options);
+});
+
+module.exports = { appendEntry };
@@ -0,0 +1,54 @@
+// Outbound HTTP helpers shared by the routes and scrapers
+
+const AbortController = require('abort-controller');
+const { getSource } = require('./sources');
+
+const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
+
+// Improved timeout and abort handling
+const createTimeout = (ms) => {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => {
+    try {
+      controller.abort();
+    } catch (e) {
+      console.error('Error aborting request:', e);
+    }
+  }, ms);
+  return { controller, timeout };
+};
+
+const fetchImageBuffer = async (url, referer = getSource().baseUrl, retryCount = 0) => {
+  // Increase timeout for large images (20 seconds)
+  const { controller, timeout } = createTimeout(20000);
+
+  try {
+    const response = await fetch(url, {
+      headers: {
+        'Referer': referer,
+        'User-Agent': getSource().headers['User-Agent'],
+      },
+      signal: controller.signal
+    });
+
+    if (!response.ok) throw new Error(`Failed to fetch image: ${response.status}`);
+    const arrayBuffer = await response.arrayBuffer();
+    return Buffer.from(arrayBuffer);
+  } catch (error) {
+    // Clear timeout to prevent memory leak
+    clearTimeout(timeout);
+
+    // Retry logic - attempt up to 3 times with increasing delay
+    if (retryCount < 3) {
+      console.log(`Retrying fetch for ${url} (attempt ${retryCount + 1})...`);
+      // Exponential backoff: 1s, 2s, 4s
+      await new Promise(resolve => setTimeout(resolve, 1000 * Math.pow(2, retryCount)));
+      return fetchImageBuffer(url, referer, retryCount + 1);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeout);
+  }
+};
+
+module.exports = { fetch, createTimeout, fetchImageBuffer };
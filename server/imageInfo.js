@@ -0,0 +1,109 @@
+// Image metadata read straight from the file header: format, width and height
+// for the formats the sources serve (JPEG, PNG, GIF, WebP).
+
+const { createHash } = require('crypto');
+
+const pngSize = (buffer) => ({
+  type: 'png',
+  width: buffer.readUInt32BE(16),
+  height: buffer.readUInt32BE(20)
+});
+
+const gifSize = (buffer) => ({
+  type: 'gif',
+  width: buffer.readUInt16LE(6),
+  height: buffer.readUInt16LE(8)
+});
+
+// Walks the JPEG segments until the first start-of-frame marker
+const jpegSize = (buffer) => {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return {
+        type: 'jpeg',
+        height: buffer.readUInt16BE(offset + 5),
+        width: buffer.readUInt16BE(offset + 7)
+      };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+};
+
+const webpSize = (buffer) => {
+  const chunk = buffer.toString('ascii', 12, 16);
+  if (chunk === 'VP8 ') {
+    return {
+      type: 'webp',
+      width: buffer.readUInt16LE(26) & 0x3fff,
+      height: buffer.readUInt16LE(28) & 0x3fff
+    };
+  }
+  if (chunk === 'VP8L') {
+    const bits = buffer.readUInt32LE(21);
+    return {
+      type: 'webp',
+      width: (bits & 0x3fff) + 1,
+      height: ((bits >> 14) & 0x3fff) + 1
+    };
+  }
+  if (chunk === 'VP8X') {
+    return {
+      type: 'webp',
+      width: buffer.readUIntLE(24, 3) + 1,
+      height: buffer.readUIntLE(27, 3) + 1
+    };
+  }
+  return null;
+};
+
+/**
+ * @param {Buffer} buffer - image file contents
+ * @returns {{type: string, width: number, height: number}|null} null when the
+ *   format is unknown or the header is truncated
+ */
+const imageSize = (buffer) => {
+  try {
+    if (buffer.length < 30) return null;
+    if (buffer.readUInt32BE(0) === 0x89504e47) return pngSize(buffer);
+    if (buffer.toString('ascii', 0, 3) === 'GIF') return gifSize(buffer);
+    if (buffer[0] === 0xff && buffer[1] === 0xd8) return jpegSize(buffer);
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+      return webpSize(buffer);
+    }
+  } catch (e) {
+    // Truncated header: reads ran past the end of the buffer
+  }
+  return null;
+};
+
+const MIME_TYPES = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp'
+};
+
+/**
+ * Content type of an image from its magic bytes, ignoring whatever the server
+ * sent it as.
+ * @param {Buffer} buffer
+ * @returns {string|null} null when it is not an image format we serve
+ */
+const sniffImageType = (buffer) => {
+  if (buffer.length < 12) return null;
+  // ISO-BMFF with an AVIF brand: ....ftypavif / ftypavis
+  if (buffer.toString('ascii', 4, 8) === 'ftyp' && ['avif', 'avis'].includes(buffer.toString('ascii', 8, 12))) {
+    return 'image/avif';
+  }
+  const info = imageSize(buffer);
+  return info ? MIME_TYPES[info.type] : null;
+};
+
+const sha256 = (buffer) => createHash('sha256').update(buffer).digest('hex');
+
+module.exports = { imageSize, sniffImageType, sha256 };
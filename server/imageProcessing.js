@@ -0,0 +1,133 @@
+// Image processing before upload
+//
+// Every chapter page is decoded first, so broken or non-image downloads are
+// caught before they are stored, and then re-encoded into renditions:
+//   webp    - full size WebP
+//   avif    - full size AVIF
+//   mobile  - WebP at most MOBILE_WIDTH wide
+//   preview - WebP at most PREVIEW_WIDTH wide
+//
+// IMAGE_VARIANTS picks which of them are made (comma separated, default all
+// four); AVIF is by far the slowest to encode.
+//
+// Pages also get a perceptual hash (dHash), which stays the same when an image
+// is re-encoded or rescaled, so recurring credit and ad pages can be
+// recognised across chapters.
+
+const sharp = require('sharp');
+
+const MOBILE_WIDTH = 720;
+const PREVIEW_WIDTH = 200;
+
+const VARIANTS = {
+  webp: (image) => image.webp({ quality: 80 }),
+  avif: (image) => image.avif({ quality: 50, effort: 2 }),
+  mobile: (image) => image.resize({ width: MOBILE_WIDTH, withoutEnlargement: true }).webp({ quality: 75 }),
+  preview: (image) => image.resize({ width: PREVIEW_WIDTH, withoutEnlargement: true }).webp({ quality: 60 })
+};
+
+const ENABLED_VARIANTS = (process.env.IMAGE_VARIANTS || Object.keys(VARIANTS).join(','))
+  .split(',')
+  .map(name => name.trim())
+  .filter(name => VARIANTS[name]);
+
+const FORMATS = {
+  jpeg: { ext: '.jpg', contentType: 'image/jpeg' },
+  png: { ext: '.png', contentType: 'image/png' },
+  gif: { ext: '.gif', contentType: 'image/gif' },
+  webp: { ext: '.webp', contentType: 'image/webp' },
+  heif: { ext: '.avif', contentType: 'image/avif' }
+};
+
+const HASH_WIDTH = 9; // 8 comparisons per row, 8 rows: a 64 bit hash
+const HASH_HEIGHT = 8;
+
+const invalidImage = (message) => Object.assign(new Error(`Invalid image: ${message}`), { code: 'INVALID_IMAGE' });
+
+/**
+ * dHash of an image: whether each pixel of a tiny greyscale copy is darker
+ * than its right neighbour.
+ * @param {Buffer} buffer
+ * @returns {Promise<string>} 16 hex digits
+ */
+const perceptualHash = async (buffer) => {
+  const pixels = await sharp(buffer)
+    .rotate()
+    .greyscale()
+    .resize(HASH_WIDTH, HASH_HEIGHT, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      const i = y * HASH_WIDTH + x;
+      hash = (hash << 1n) | (pixels[i] < pixels[i + 1] ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, '0');
+};
+
+// Number of bits two perceptual hashes differ in
+const hashDistance = (a, b) => {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+};
+
+/**
+ * Decodes an image and makes its renditions.
+ * @param {Buffer} buffer - image as downloaded
+ * @returns {Promise<{original: object, variants: object, phash: string}>}
+ *   `original` is the input with its real format ({ buffer, ext, contentType,
+ *   width, height }); `variants` maps variant name to the same shape. Rejects
+ *   with code INVALID_IMAGE when the buffer is not an image we can decode.
+ */
+const processImage = async (buffer) => {
+  let metadata;
+  try {
+    // Decoding the pixels, not just the header, catches truncated downloads
+    metadata = await sharp(buffer).metadata();
+    await sharp(buffer).raw().toBuffer({ resolveWithObject: false });
+  } catch (err) {
+    throw invalidImage(err.message);
+  }
+
+  const format = FORMATS[metadata.format];
+  if (!format) throw invalidImage(`unsupported format ${metadata.format}`);
+
+  const variants = {};
+  for (const name of ENABLED_VARIANTS) {
+    // Animated GIFs keep only their first frame
+    const { data, info } = await VARIANTS[name](sharp(buffer).rotate()).toBuffer({ resolveWithObject: true });
+    const variantFormat = FORMATS[info.format];
+    variants[name] = {
+      buffer: data,
+      ext: variantFormat.ext,
+      contentType: variantFormat.contentType,
+      width: info.width,
+      height: info.height
+    };
+  }
+
+  return {
+    original: {
+      buffer,
+      ext: format.ext,
+      contentType: format.contentType,
+      width: metadata.width,
+      height: metadata.height
+    },
+    variants,
+    phash: await perceptualHash(buffer)
+  };
+};
+
+// For consumers that only take JPEG and PNG (PDF)
+const toJpeg = (buffer) => sharp(buffer).rotate().jpeg({ quality: 90 }).toBuffer();
+
+module.exports = { processImage, perceptualHash, hashDistance, toJpeg };
@@ -0,0 +1,34 @@
+// Server entry point. tesapi.js and vpsonly.js only pick a profile and call
+// start(); `node server` uses SERVER_PROFILE (default: full).
+
+const { loadProfile } = require('./profiles');
+const { createServer } = require('./app');
+
+const start = (profileName) => {
+  const server = createServer(loadProfile(profileName));
+
+  // Cleanup
+  const shutdown = () => server.stop().finally(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  // Handle unexpected errors
+  process.on('uncaughtException', (err) => {
+    console.error('Uncaught exception:', err);
+  });
+
+  process.on('unhandledRejection', (reason, promise) => {
+    console.error('Unhandled rejection at:', promise, 'reason:', reason);
+  });
+
+  server.start().catch(err => {
+    console.error('Failed to start server:', err);
+    process.exit(1);
+  });
+
+  return server;
+};
+
+if (require.main === module) start();
+
+module.exports = { createServer, start };
@@ -0,0 +1,433 @@
+// Bulk crawl job handlers
+//
+// These used to be the bodies of /auto-fetch, /auto-json and /auto-thumbnail.
+// They drive the server's own /search, /detail, /get-comic and /get endpoints
+// over HTTP, save their progress through ctx.update() after every batch and
+// pick up from ctx.progress when a job is resumed.
+//
+// Progress events sent through ctx.emit():
+//   batch_started    { kind, batch, totalBatches, size }
+//   chapter_ok       { slug, title, images, cached }
+//   chapter_retried  { slug, title, reason }
+//   chapter_failed   { slug, title, status, reason }
+//   images_uploaded  { slug, count }
+//   thumbnail_ok     { url, cdnUrl }
+//   thumbnail_failed { url, status, reason }
+//   remaining        { kind, remaining }
+
+const fs = require('fs');
+const path = require('path');
+const { setTimeout: sleep } = require('timers/promises');
+const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
+
+// /auto-json only reads and rewrites JSON files in this directory
+const JOB_FILES_DIR = path.resolve(process.env.JOB_FILES_DIR || '.');
+
+// The absolute path of a JSON file inside JOB_FILES_DIR, or null for a name
+// that is absolute, leaves the directory or is not a .json file
+const jobFilePath = (file) => {
+  if (typeof file !== 'string' || path.isAbsolute(file) || path.extname(file) !== '.json') return null;
+  const resolved = path.resolve(JOB_FILES_DIR, file);
+  return resolved.startsWith(JOB_FILES_DIR + path.sep) ? resolved : null;
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// How many 429 answers one call waits out before giving up
+const MAX_RATE_LIMIT_WAITS = 5;
+
+const isAbortError = (error) =>
+  error.name === 'AbortError' || error.message === 'Operation aborted';
+
+const isRetryableError = (error) =>
+  error.name === 'AbortError' ||
+  error.name === 'TimeoutError' ||
+  error.message.includes('network') ||
+  error.message.includes('timeout');
+
+// Splits items into chunks of `size` and runs each chunk concurrently, one
+// chunk after another, stopping between chunks once the job is aborted
+const inChunks = async (ctx, kind, items, size, fn) => {
+  const results = [];
+  const totalBatches = Math.ceil(items.length / size);
+  for (let i = 0; i < items.length; i += size) {
+    ctx.throwIfAborted();
+    const chunk = items.slice(i, i + size);
+    ctx.emit('batch_started', { kind, batch: i / size + 1, totalBatches, size: chunk.length });
+    results.push(...await Promise.all(chunk.map(fn)));
+  }
+  return results;
+};
+
+// Reports a /get-comic answer; fresh scrapes also count as uploads. Pages
+// that failed to upload have no url and are not counted.
+const reportChapter = (ctx, slug, title, data) => {
+  const images = data.images ? data.images.filter(image => image.url).length : 0;
+  ctx.emit('chapter_ok', { slug, title, images, cached: Boolean(data.cached) });
+  if (!data.cached) ctx.emit('images_uploaded', { slug, count: images });
+};
+
+/**
+ * @param {object} options
+ * @param {string} options.baseUrl - where this server listens, e.g. http://127.0.0.1:5000
+ * @param {string} options.apiKey - sent with every call, see auth.js
+ */
+const createHandlers = ({ baseUrl, apiKey }) => {
+  const sourceParam = (params) =>
+    params.source ? `&source=${encodeURIComponent(params.source)}` : '';
+
+  // A 429 is waited out for as long as Retry-After says (or until the job is
+  // aborted) rather than counted as a failure
+  const getJson = async (path, params, signal, timeout) => {
+    for (let waits = 0; ; waits++) {
+      const response = await fetch(`${baseUrl}${path}${sourceParam(params)}`, {
+        headers: { 'X-API-Key': apiKey },
+        signal,
+        timeout
+      });
+      if (response.status !== 429 || waits >= MAX_RATE_LIMIT_WAITS) return response.json();
+
+      await response.text();
+      const seconds = parseInt(response.headers.get('retry-after')) || 1;
+      await sleep(seconds * 1000, undefined, { signal });
+    }
+  };
+
+  // Search one page, fetch every result's detail and then every chapter
+  const autoFetch = async (params, ctx) => {
+    const { query, page = 1 } = params;
+    const progress = ctx.progress || { page, completed: [], results: [] };
+
+    console.log(`Starting auto-fetch for query "${query}" on page ${page}`);
+
+    const searchData = await getJson(
+      `/search?q=${encodeURIComponent(query)}&page=${page}`, params, ctx.signal, 5000
+    );
+    const allResults = searchData?.results || [];
+
+    // Remove duplicates by link, and anything a previous run already finished
+    const uniqueResults = Array.from(
+      new Map(allResults.map(item => [item.link, item])).values()
+    ).filter(item => !progress.completed.includes(item.link));
+
+    if (uniqueResults.length === 0) {
+      return { page, totalFetched: progress.results.length, results: progress.results };
+    }
+
+    const detailResults = await Promise.all(uniqueResults.map(item => {
+      const slug = item.link.replace(/^.*\/([^\/]+)\/?$/, '$1');
+      return getJson(`/detail?url=${encodeURIComponent(slug)}`, params, ctx.signal, 5000)
+        .then(data => ({
+          success: data.success,
+          detail: data.detail || {},
+          originalTitle: item.title,
+          originalLink: item.link
+        }))
+        .catch(e => ({
+          success: false,
+          originalTitle: item.title,
+          originalLink: item.link,
+          error: e.message
+        }));
+    }));
+
+    const CHAPTER_BATCH_SIZE = 5;
+
+    const processComic = async (result) => {
+      if (!result.success) {
+        return {
+          title: result.originalTitle,
+          link: result.originalLink,
+          status: 'detail_failed',
+          reason: result.error || 'Unknown error'
+        };
+      }
+
+      const detail = result.detail;
+      const chapters = detail.chapters || [];
+      console.log(`${detail.title || result.originalTitle}: processing ${chapters.length} chapters`);
+
+      const chapterResults = await inChunks(ctx, 'chapters', chapters, CHAPTER_BATCH_SIZE, async (chap) => {
+        const chapSlug = chap.chapterLink.replace(/^\/|\/$/g, '');
+        try {
+          const data = await getJson(`/get-comic?url=${encodeURIComponent(chapSlug)}`, params, ctx.signal, 15000);
+          if (data.success) {
+            reportChapter(ctx, chapSlug, chap.chapterTitle, data);
+          } else {
+            ctx.emit('chapter_failed', { slug: chapSlug, title: chap.chapterTitle, status: 'failed', reason: data.error });
+          }
+          return {
+            chapter: chap.chapterTitle,
+            status: data.success ? 'ok' : 'failed',
+            reason: data.error || null
+          };
+        } catch (e) {
+          console.error(`Error fetching chapter ${chap.chapterTitle}:`, e.message);
+          const status = e.name === 'AbortError' ? 'aborted' : 'fetch_error';
+          ctx.emit('chapter_failed', { slug: chapSlug, title: chap.chapterTitle, status, reason: e.message });
+          return {
+            chapter: chap.chapterTitle,
+            status,
+            reason: e.message
+          };
+        }
+      });
+
+      return {
+        title: detail.title || result.originalTitle,
+        link: detail.url || result.originalLink,
+        chaptersFetched: chapterResults.length,
+        totalChapters: chapters.length,
+        chapters: chapterResults
+      };
+    };
+
+    let remaining = detailResults.length;
+    await inChunks(ctx, 'comics', detailResults, 3, async (result) => {
+      const comicResult = await processComic(result);
+      progress.completed.push(result.originalLink);
+      progress.results.push(comicResult);
+      await ctx.update(progress);
+      ctx.emit('remaining', { kind: 'comics', remaining: --remaining });
+    });
+
+    return { page, totalFetched: progress.results.length, results: progress.results };
+  };
+
+  // Fetch every chapter listed in a JSON file, removing each one from the file
+  // once it is done, so the file itself is the resume point
+  const autoJson = async (params, ctx) => {
+    // Jobs queued before files were confined are checked again here
+    const jsonFilePath = jobFilePath(params.file || 'slug.json');
+    if (!jsonFilePath) throw new Error(`JSON file must be inside ${JOB_FILES_DIR}`);
+    const progress = ctx.progress || { results: [] };
+
+    let jsonData;
+    try {
+      jsonData = JSON.parse(await fs.promises.readFile(jsonFilePath, 'utf8'));
+    } catch (err) {
+      throw new Error(`Failed to read JSON file: ${err.message}`);
+    }
+
+    if (!jsonData.success || !Array.isArray(jsonData.chapters)) {
+      throw new Error('Invalid JSON format. Expected a "success" property and a "chapters" array');
+    }
+
+    const attemptChapter = async (chapter) => {
+      const { slug, title } = chapter;
+      if (!slug) {
+        return { title: title || 'Unknown', slug: slug || 'Unknown', status: 'failed', reason: 'Invalid slug' };
+      }
+
+      console.log(`Processing chapter: ${title} (${slug})`);
+      const url = `/get-comic?url=${encodeURIComponent(slug)}`;
+
+      try {
+        const data = await getJson(url, params, ctx.signal, 15000);
+        if (!data.success) {
+          return { title, slug, status: 'failed', reason: data.error || 'Failed to process chapter' };
+        }
+        reportChapter(ctx, slug, title, data);
+        return { title, slug, status: 'ok', imagesCount: data.images ? data.images.length : 0 };
+      } catch (error) {
+        if (ctx.signal.aborted || !isRetryableError(error)) {
+          return {
+            title: title || 'Unknown',
+            slug,
+            status: error.name === 'AbortError' ? 'aborted' : 'processing_error',
+            reason: error.message
+          };
+        }
+
+        // Retry once on timeouts and network errors
+        console.log(`Retrying chapter ${title} (${slug}) after error: ${error.message}`);
+        ctx.emit('chapter_retried', { slug, title, reason: error.message });
+        try {
+          await wait(5000);
+          const data = await getJson(url, params, ctx.signal, 20000);
+          if (!data.success) {
+            return { title, slug, status: 'failed', reason: data.error || 'Failed to process chapter (retry)' };
+          }
+          reportChapter(ctx, slug, title, data);
+          return { title, slug, status: 'ok (retry)', imagesCount: data.images ? data.images.length : 0 };
+        } catch (retryError) {
+          console.error(`Retry failed for chapter ${title}:`, retryError);
+          return { title: title || 'Unknown', slug, status: 'retry_failed', reason: retryError.message };
+        }
+      }
+    };
+
+    const fetchChapter = async (chapter) => {
+      const result = await attemptChapter(chapter);
+      if (!result.status.startsWith('ok')) {
+        ctx.emit('chapter_failed', { slug: result.slug, title: result.title, status: result.status, reason: result.reason });
+      }
+      return result;
+    };
+
+    const CONCURRENCY = 3;
+    while (jsonData.chapters.length > 0) {
+      ctx.throwIfAborted();
+
+      const batch = jsonData.chapters.slice(0, CONCURRENCY);
+      console.log(`Processing ${batch.length} chapters, ${jsonData.chapters.length} remaining`);
+      progress.batches = (progress.batches || 0) + 1;
+      ctx.emit('batch_started', { kind: 'chapters', batch: progress.batches, size: batch.length });
+
+      const batchResults = await Promise.all(batch.map(fetchChapter));
+      const done = batch.filter((chapter, i) => batchResults[i].status.startsWith('ok'));
+      progress.results.push(...batchResults.filter(r => r.status.startsWith('ok')));
+
+      // Failed chapters stay in the file for the next run but move to the end
+      // so they don't block the rest of the queue
+      jsonData.chapters = [
+        ...jsonData.chapters.slice(batch.length),
+        ...batch.filter(chapter => !done.includes(chapter))
+      ];
+
+      try {
+        await fs.promises.writeFile(jsonFilePath, JSON.stringify(jsonData, null, 2), 'utf8');
+      } catch (updateError) {
+        console.error(`Failed to update JSON file: ${updateError.message}`);
+      }
+
+      progress.remaining = jsonData.chapters.length;
+      await ctx.update(progress);
+      ctx.emit('remaining', { kind: 'chapters', remaining: progress.remaining });
+
+      // Stop once every remaining chapter has failed in a row
+      if (done.length === 0) {
+        progress.failedInARow = (progress.failedInARow || 0) + batch.length;
+        if (progress.failedInARow >= jsonData.chapters.length) break;
+        await wait(5000);
+      } else {
+        progress.failedInARow = 0;
+      }
+    }
+
+    return {
+      page: jsonData.page || 1,
+      totalProcessed: progress.results.length,
+      totalRemaining: jsonData.chapters.length,
+      results: progress.results
+    };
+  };
+
+  // Upload the thumbnails of every search result on a range of pages
+  const autoThumbnail = async (params, ctx) => {
+    const { query, startPage, endPage } = params;
+    const progress = ctx.progress || { lastPage: startPage - 1, thumbnails: [] };
+
+    console.log(`Starting auto-thumbnail for query "${query}" on pages ${startPage}-${endPage}`);
+
+    for (let currentPage = progress.lastPage + 1; currentPage <= endPage; currentPage++) {
+      ctx.throwIfAborted();
+      console.log(`Processing page ${currentPage}/${endPage} for query "${query}"`);
+
+      try {
+        const searchData = await getJson(
+          `/search?q=${encodeURIComponent(query)}&page=${currentPage}`, params, ctx.signal, 5000
+        );
+
+        const thumbnails = [...new Set(
+          (searchData?.results || []).filter(item => item && item.thumbnail).map(item => item.thumbnail)
+        )];
+        console.log(`Found ${thumbnails.length} thumbnails on page ${currentPage}`);
+
+        const pageResults = await inChunks(ctx, 'thumbnails', thumbnails, 3, async (thumbnailUrl) => {
+          try {
+            const data = await getJson(
+              `/get?url=${encodeURIComponent(thumbnailUrl)}&autoClose=true`, params, ctx.signal, 10000
+            );
+            if (!data.cdnUrl) {
+              ctx.emit('thumbnail_failed', { url: thumbnailUrl, status: 'failed', reason: 'No CDN URL returned' });
+              return { page: currentPage, originalThumbnail: thumbnailUrl, status: 'failed', reason: 'No CDN URL returned' };
+            }
+            ctx.emit('thumbnail_ok', { url: thumbnailUrl, cdnUrl: data.cdnUrl });
+            return { page: currentPage, originalThumbnail: thumbnailUrl, cdnUrl: data.cdnUrl, status: 'success' };
+          } catch (thumbnailError) {
+            console.error(`Error processing thumbnail ${thumbnailUrl}:`, thumbnailError);
+            const status = thumbnailError.name === 'AbortError' ? 'aborted' : 'error';
+            ctx.emit('thumbnail_failed', { url: thumbnailUrl, status, reason: thumbnailError.message });
+            return {
+              page: currentPage,
+              originalThumbnail: thumbnailUrl,
+              status,
+              reason: thumbnailError.message
+            };
+          }
+        });
+
+        progress.thumbnails.push(...pageResults);
+      } catch (pageError) {
+        if (isAbortError(pageError)) throw pageError;
+        console.error(`Error fetching page ${currentPage}:`, pageError);
+      }
+
+      progress.lastPage = currentPage;
+      await ctx.update(progress);
+      ctx.emit('remaining', { kind: 'pages', remaining: endPage - currentPage });
+    }
+
+    const successCount = progress.thumbnails.filter(item => item.status === 'success').length;
+    return {
+      query,
+      startPage,
+      endPage,
+      processedPages: progress.lastPage - startPage + 1,
+      totalPages: endPage - startPage + 1,
+      stats: {
+        total: progress.thumbnails.length,
+        success: successCount,
+        failed: progress.thumbnails.length - successCount
+      },
+      thumbnails: progress.thumbnails
+    };
+  };
+
+  // prepare() turns request input into stored job params and throws a 400
+  // for anything unusable. Timeouts are in milliseconds.
+  const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+  // auto-fetch and auto-json share a lane, like they shared one lock before
+  return {
+    'auto-fetch': {
+      lane: 'crawl',
+      run: autoFetch,
+      prepare: ({ query, page, timeout, source }) => {
+        if (!query) throw badRequest('Query diperlukan');
+        return { query, page: parseInt(page) || 1, timeout: timeout || 300000, source };
+      }
+    },
+    'auto-json': {
+      lane: 'crawl',
+      run: autoJson,
+      prepare: ({ file = 'slug.json', timeout, source }) => {
+        if (!jobFilePath(file)) throw badRequest('file must name a .json file inside the job files directory');
+        return {
+          file,
+          timeout: timeout || 7 * 24 * 60 * 60 * 1000, // 7 days
+          source
+        };
+      }
+    },
+    'auto-thumbnail': {
+      lane: 'thumbnail',
+      run: autoThumbnail,
+      prepare: ({ query, startPage, maxPages, timeout, source }) => {
+        if (!query) throw badRequest('Query is required');
+        const start = parseInt(startPage) || 1;
+        const pages = parseInt(maxPages) || 1;
+        return {
+          query,
+          startPage: start,
+          endPage: Math.max(start, Math.min(start + pages - 1, start + 9)), // at most 10 pages
+          timeout: timeout || 300000,
+          source
+        };
+      }
+    }
+  };
+};
+
+module.exports = { createHandlers };
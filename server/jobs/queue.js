@@ -0,0 +1,319 @@
+// Persistent job queue for the bulk crawl routes
+//
+// Jobs live in the `jobs` table so they survive restarts. Each job type runs
+// in a lane and a lane runs one job at a time; everything else waits as
+// `queued` instead of being rejected. Jobs left `running` by a crash or restart
+// are put back in the queue on start, and handlers pick up from the progress
+// they last saved.
+//
+// Handlers report what they are doing through ctx.emit(); those events, plus
+// status changes, are fanned out to subscribers such as the SSE endpoint.
+//
+// A cancel that reaches a process other than the one running the job is
+// recorded in the job's row; the running process aborts the handler on its
+// next poll.
+//
+// A job's `timeout` param (ms) comes from the client. Anything that is not a
+// positive number is dropped, so the handler's default applies, and longer
+// ones are cut to JOB_MAX_TIMEOUT (default 7 days).
+
+const AbortController = require('abort-controller');
+const EventEmitter = require('events');
+const { randomUUID } = require('crypto');
+const { jobsFinished, jobDuration, jobsRunning } = require('../metrics');
+
+const POLL_INTERVAL = parseInt(process.env.JOB_POLL_INTERVAL) || 2000;
+const MAX_TIMEOUT = parseInt(process.env.JOB_MAX_TIMEOUT) || 7 * 24 * 60 * 60 * 1000; // ms
+const EVENT_HISTORY = 200; // events kept per job for reconnecting clients
+const EVENT_HISTORY_TTL = 10 * 60 * 1000; // how long history outlives its job
+
+const STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+const FINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+const parseJson = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return null;
+  }
+};
+
+const toJob = (row) => row && {
+  id: row.id,
+  type: row.type,
+  lane: row.lane,
+  status: row.status,
+  params: parseJson(row.params) || {},
+  progress: parseJson(row.progress),
+  result: parseJson(row.result),
+  error: row.error || null,
+  attempts: row.attempts,
+  createdAt: row.created_at,
+  startedAt: row.started_at,
+  finishedAt: row.finished_at
+};
+
+// undefined for anything but a positive number of ms
+const clampTimeout = (value) => {
+  const ms = typeof value === 'number' || typeof value === 'string' ? Number(value) : NaN;
+  if (!Number.isFinite(ms) || ms <= 0) return undefined;
+  return Math.min(ms, MAX_TIMEOUT);
+};
+
+const abortError = (message) => {
+  const error = new Error(message);
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * @param {object} options
+ * @param {Function} options.sql - tagged template query function
+ * @param {object} options.handlers - job type -> { lane, run(params, ctx) }
+ */
+const createJobQueue = ({ sql, handlers }) => {
+  const running = new Map(); // job id -> { controller, lane }
+  const history = new Map(); // job id -> { lastId, events }
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+  let timer = null;
+  let ticking = false;
+
+  // Every event gets an id that increases per job, so SSE clients can resume
+  // with Last-Event-ID
+  const publish = (jobId, type, data = {}) => {
+    if (!history.has(jobId)) history.set(jobId, { lastId: 0, events: [] });
+    const entry = history.get(jobId);
+
+    const event = { id: ++entry.lastId, type, data, at: new Date().toISOString() };
+    entry.events.push(event);
+    if (entry.events.length > EVENT_HISTORY) entry.events.shift();
+
+    emitter.emit(jobId, event);
+
+    if (type === 'status' && FINAL_STATUSES.includes(data.status)) {
+      setTimeout(() => history.delete(jobId), EVENT_HISTORY_TTL).unref();
+    }
+  };
+
+  // Replays buffered events newer than lastEventId, then follows live ones.
+  // Returns the unsubscribe function.
+  const subscribe = (jobId, listener, lastEventId = 0) => {
+    const entry = history.get(jobId);
+    if (entry) {
+      entry.events.filter(event => event.id > lastEventId).forEach(listener);
+    }
+    emitter.on(jobId, listener);
+    return () => emitter.off(jobId, listener);
+  };
+
+  const get = async (id) => {
+    const rows = await sql`SELECT * FROM jobs WHERE id = ${id}`;
+    return toJob(rows[0]);
+  };
+
+  const list = async ({ status, limit = 50 } = {}) => {
+    const rows = status
+      ? await sql`SELECT * FROM jobs WHERE status = ${status} ORDER BY created_at DESC LIMIT ${limit}`
+      : await sql`SELECT * FROM jobs ORDER BY created_at DESC LIMIT ${limit}`;
+    return rows.map(toJob);
+  };
+
+  // Errors carrying a `status` of 400 are the caller's fault
+  const enqueue = async (type, input = {}) => {
+    const handler = handlers[type];
+    if (!handler) {
+      throw Object.assign(new Error(`Unknown job type: ${type}`), { status: 400 });
+    }
+
+    const checked = { ...input, timeout: clampTimeout(input.timeout) };
+    const params = handler.prepare ? handler.prepare(checked) : checked;
+    const id = randomUUID();
+    await sql`
+      INSERT INTO jobs (id, type, lane, status, params, created_at)
+      VALUES (${id}, ${type}, ${handler.lane}, 'queued', ${JSON.stringify(params)}, ${new Date()})
+    `;
+
+    publish(id, 'status', { status: 'queued' });
+    setImmediate(tick);
+    return get(id);
+  };
+
+  const finish = async (id, status, { result, error } = {}) => {
+    await sql`
+      UPDATE jobs SET
+        status = ${status},
+        result = ${result === undefined ? null : JSON.stringify(result)},
+        error = ${error || null},
+        finished_at = ${new Date()}
+      WHERE id = ${id}
+    `;
+    publish(id, 'status', { status, error: error || undefined });
+  };
+
+  // Queued jobs are cancelled in place; running ones are aborted and marked
+  // cancelled by their runner once the handler unwinds. A job running in
+  // another process gets the request in its row (see abortRequested).
+  const cancel = async (id) => {
+    const job = await get(id);
+    if (!job) return null;
+
+    if (job.status === 'queued') {
+      await finish(id, 'cancelled');
+      jobsFinished.inc({ type: job.type, status: 'cancelled' });
+    } else if (job.status === 'running' && running.has(id)) {
+      running.get(id).controller.abort();
+    } else if (job.status === 'running') {
+      await sql`
+        UPDATE jobs SET cancel_requested_at = ${new Date()}
+        WHERE id = ${id} AND status = 'running'
+      `;
+    }
+
+    return get(id);
+  };
+
+  // Aborts the jobs of this process that were cancelled through another
+  const abortRequested = async () => {
+    if (running.size === 0) return;
+    const requested = await sql`
+      SELECT id FROM jobs WHERE status = 'running' AND cancel_requested_at IS NOT NULL
+    `;
+    for (const { id } of requested) {
+      if (running.has(id)) running.get(id).controller.abort();
+    }
+  };
+
+  const runJob = async (row) => {
+    const job = toJob(row);
+    const handler = handlers[job.type];
+    const controller = new AbortController();
+    running.set(job.id, { controller, lane: job.lane });
+    jobsRunning.set(running.size);
+    const endTimer = jobDuration.startTimer({ type: job.type });
+    let status = 'failed';
+
+    // Checked again for jobs queued before timeouts were clamped
+    const timeout = clampTimeout(job.params.timeout);
+    let timeoutId;
+    if (timeout) {
+      timeoutId = setTimeout(() => {
+        console.log(`Job ${job.id} (${job.type}) timed out after ${timeout / 1000}s`);
+        controller.timedOut = true;
+        controller.abort();
+      }, timeout);
+    }
+
+    const ctx = {
+      signal: controller.signal,
+      progress: job.progress,
+      // Saved progress is what a resumed handler starts from
+      update: async (progress) => {
+        ctx.progress = progress;
+        await sql`UPDATE jobs SET progress = ${JSON.stringify(progress)} WHERE id = ${job.id}`
+          .catch(err => console.error(`Failed to save progress for job ${job.id}:`, err));
+      },
+      throwIfAborted: () => {
+        if (controller.signal.aborted) throw abortError('Operation aborted');
+      },
+      emit: (type, data) => publish(job.id, type, data)
+    };
+
+    console.log(`▶️ Job ${job.id} (${job.type}) started`);
+    publish(job.id, 'status', { status: 'running', resumed: Boolean(job.progress) });
+    try {
+      const result = await handler.run(job.params, ctx);
+      await finish(job.id, 'completed', { result });
+      status = 'completed';
+      console.log(`✅ Job ${job.id} (${job.type}) completed`);
+    } catch (error) {
+      if (controller.signal.aborted && !controller.timedOut) {
+        await finish(job.id, 'cancelled', { result: ctx.progress });
+        status = 'cancelled';
+        console.log(`⏹️ Job ${job.id} (${job.type}) cancelled`);
+      } else {
+        const message = controller.timedOut ? 'Operation timed out' : (error.message || 'Unknown error');
+        await finish(job.id, 'failed', { result: ctx.progress, error: message });
+        console.error(`❌ Job ${job.id} (${job.type}) failed:`, message);
+      }
+    } finally {
+      clearTimeout(timeoutId);
+      running.delete(job.id);
+      jobsRunning.set(running.size);
+      jobsFinished.inc({ type: job.type, status });
+      endTimer({ status });
+      setImmediate(tick);
+    }
+  };
+
+  // Starts the oldest queued job of every lane that is currently idle
+  const tick = async () => {
+    if (ticking) return;
+    ticking = true;
+
+    try {
+      await abortRequested();
+
+      const lanes = [...new Set(Object.values(handlers).map(h => h.lane))];
+      const busyLanes = new Set([...running.values()].map(r => r.lane));
+
+      for (const lane of lanes) {
+        if (busyLanes.has(lane)) continue;
+
+        const claimed = await sql`
+          UPDATE jobs SET
+            status = 'running',
+            started_at = ${new Date()},
+            attempts = attempts + 1
+          WHERE id = (
+            SELECT id FROM jobs
+            WHERE status = 'queued' AND lane = ${lane}
+            ORDER BY created_at
+            LIMIT 1
+          ) AND status = 'queued'
+          RETURNING *
+        `;
+
+        if (claimed.length > 0) {
+          runJob(claimed[0]).catch(err => console.error(`Job ${claimed[0].id} runner error:`, err));
+        }
+      }
+    } catch (error) {
+      console.error('Job queue error:', error);
+    } finally {
+      ticking = false;
+    }
+  };
+
+  // The jobs table itself is created by the migrations in server/db
+  const start = async () => {
+    // Anything still marked running was interrupted by a restart; jobs that
+    // were being cancelled stay cancelled
+    await sql`
+      UPDATE jobs SET status = 'cancelled', finished_at = ${new Date()}
+      WHERE status = 'running' AND cancel_requested_at IS NOT NULL
+    `;
+    const resumed = await sql`
+      UPDATE jobs SET status = 'queued' WHERE status = 'running' RETURNING id
+    `;
+    if (resumed.length > 0) {
+      console.log(`🔁 Resuming ${resumed.length} interrupted job(s)`);
+    }
+
+    timer = setInterval(tick, POLL_INTERVAL);
+    tick();
+  };
+
+  // Running jobs are left marked as running so the next start resumes them
+  const stop = () => {
+    clearInterval(timer);
+  };
+
+  const types = () => Object.keys(handlers);
+
+  return { STATUSES, FINAL_STATUSES, types, start, stop, enqueue, get, list, cancel, subscribe };
+};
+
+module.exports = { createJobQueue };
@@ -0,0 +1,149 @@
+// Prometheus metrics, served at /metrics
+//
+// The metrics live in one registry for the process; the modules that record
+// them import the ones they need from here. Names start with `doujin_`, and
+// the Node.js process metrics prom-client collects by default are included.
+//
+// Alerting on a broken source: the scrape histogram's `outcome="error"`
+// series per source, and uploads with `outcome="error"`.
+
+const client = require('prom-client');
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+// Scrapes take seconds, not milliseconds
+const SCRAPE_BUCKETS = [0.5, 1, 2.5, 5, 10, 20, 30, 60, 120];
+
+const httpRequestDuration = new client.Histogram({
+  name: 'doujin_http_request_duration_seconds',
+  help: 'Time to answer HTTP requests, by route',
+  labelNames: ['method', 'route', 'status'],
+  buckets: SCRAPE_BUCKETS,
+  registers: [register]
+});
+
+const scrapeDuration = new client.Histogram({
+  name: 'doujin_scrape_duration_seconds',
+  help: 'Time a scrape holds a browser page, by kind and source',
+  labelNames: ['kind', 'source', 'outcome'],
+  buckets: SCRAPE_BUCKETS,
+  registers: [register]
+});
+
+const browserWait = new client.Histogram({
+  name: 'doujin_browser_pool_wait_seconds',
+  help: 'Time spent waiting for a free browser',
+  buckets: [0.01, 0.1, 0.5, 1, 2.5, 5, 10, 30, 60],
+  registers: [register]
+});
+
+const browsersInUse = new client.Gauge({
+  name: 'doujin_browser_pool_in_use',
+  help: 'Browsers handed out',
+  registers: [register]
+});
+
+const browsersAvailable = new client.Gauge({
+  name: 'doujin_browser_pool_available',
+  help: 'Browsers idle in the pool',
+  registers: [register]
+});
+
+const browserRestarts = new client.Counter({
+  name: 'doujin_browser_pool_restarts_total',
+  help: 'Times the whole pool was relaunched',
+  registers: [register]
+});
+
+const cacheLookups = new client.Counter({
+  name: 'doujin_cache_lookups_total',
+  help: 'Cache lookups by result: memory_hit, store_hit or miss',
+  labelNames: ['result'],
+  registers: [register]
+});
+
+const cacheStaleServed = new client.Counter({
+  name: 'doujin_cache_stale_served_total',
+  help: 'Stale entries answered while a reload ran in the background',
+  registers: [register]
+});
+
+const cacheStoreErrors = new client.Counter({
+  name: 'doujin_cache_store_errors_total',
+  help: 'Failed reads and writes of the persistent cache tier',
+  registers: [register]
+});
+
+const storageUploads = new client.Counter({
+  name: 'doujin_storage_uploads_total',
+  help: 'Uploads to storage by driver and outcome',
+  labelNames: ['driver', 'outcome'],
+  registers: [register]
+});
+
+const storageUploadBytes = new client.Counter({
+  name: 'doujin_storage_upload_bytes_total',
+  help: 'Bytes uploaded to storage',
+  labelNames: ['driver'],
+  registers: [register]
+});
+
+const dbRetries = new client.Counter({
+  name: 'doujin_db_retries_total',
+  help: 'Database queries tried again after an error, by operation',
+  labelNames: ['operation'],
+  registers: [register]
+});
+
+const jobsFinished = new client.Counter({
+  name: 'doujin_jobs_finished_total',
+  help: 'Jobs that ended, by type and final status',
+  labelNames: ['type', 'status'],
+  registers: [register]
+});
+
+const jobDuration = new client.Histogram({
+  name: 'doujin_job_duration_seconds',
+  help: 'Run time of jobs, by type and final status',
+  labelNames: ['type', 'status'],
+  buckets: [10, 60, 300, 900, 1800, 3600, 4 * 3600, 24 * 3600],
+  registers: [register]
+});
+
+const jobsRunning = new client.Gauge({
+  name: 'doujin_jobs_running',
+  help: 'Jobs running in this process',
+  registers: [register]
+});
+
+// Times a request from its arrival to the end of the answer. Routes are
+// labelled by their pattern (/jobs/:id), so ids and query strings do not
+// multiply the series; requests no route handled count as `unmatched`.
+const measureRequests = (req, res, next) => {
+  const end = httpRequestDuration.startTimer();
+  res.on('finish', () => {
+    const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+    end({ method: req.method, route, status: res.statusCode });
+  });
+  next();
+};
+
+module.exports = {
+  register,
+  measureRequests,
+  scrapeDuration,
+  browserWait,
+  browsersInUse,
+  browsersAvailable,
+  browserRestarts,
+  cacheLookups,
+  cacheStaleServed,
+  cacheStoreErrors,
+  storageUploads,
+  storageUploadBytes,
+  dbRetries,
+  jobsFinished,
+  jobDuration,
+  jobsRunning
+};
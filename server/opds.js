@@ -0,0 +1,169 @@
+// OPDS catalog documents: OPDS 1.2 (Atom with the OPDS and OPDS-PSE
+// extensions) with the OpenSearch description clients use to find the search
+// feed, and OPDS 2.0 (JSON) built from the same feed objects. Chapters are
+// read in OPDS 2.0 through a Readium Divina manifest listing their pages.
+
+const { escapeXml } = require('./atom');
+
+const NAVIGATION = 'application/atom+xml;profile=opds-catalog;kind=navigation';
+const ACQUISITION = 'application/atom+xml;profile=opds-catalog;kind=acquisition';
+const ENTRY = 'application/atom+xml;type=entry;profile=opds-catalog';
+const OPENSEARCH = 'application/opensearchdescription+xml';
+const OPDS2 = 'application/opds+json';
+const DIVINA = 'application/divina+json';
+
+const REL = {
+  thumbnail: 'http://opds-spec.org/image/thumbnail',
+  image: 'http://opds-spec.org/image',
+  acquisition: 'http://opds-spec.org/acquisition',
+  stream: 'http://vaemendis.net/opds-pse/stream'
+};
+
+// { rel, href, type, title?, count? }; count is the OPDS-PSE page count
+const renderLink = ({ rel, href, type, title, count }) =>
+  `<link rel="${escapeXml(rel)}" href="${escapeXml(href)}"` +
+  (type ? ` type="${escapeXml(type)}"` : '') +
+  (title ? ` title="${escapeXml(title)}"` : '') +
+  (count !== undefined ? ` pse:count="${count}"` : '') +
+  '/>';
+
+const renderEntry = (entry) => `  <entry>
+    <id>${escapeXml(entry.id)}</id>
+    <title>${escapeXml(entry.title)}</title>
+    <updated>${(entry.updated || new Date()).toISOString()}</updated>${entry.content ? `
+    <content type="text">${escapeXml(entry.content)}</content>` : ''}${(entry.categories || []).map(term => `
+    <category term="${escapeXml(term)}" label="${escapeXml(term)}"/>`).join('')}
+${entry.links.map(link => `    ${renderLink(link)}`).join('\n')}
+  </entry>`;
+
+/**
+ * @param {object} feed
+ * @param {string} feed.id
+ * @param {string} feed.title
+ * @param {string} feed.kind - NAVIGATION or ACQUISITION, for the self link
+ * @param {string} feed.self - URL of this feed
+ * @param {object[]} [feed.links] - extra feed links (start, search, next...)
+ * @param {object[]} feed.entries - { id, title, updated?, content?, categories?, links }
+ * @returns {string} the feed document
+ */
+const buildOpdsFeed = ({ id, title, kind, self, links = [], entries }) => `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom"
+      xmlns:opds="http://opds-spec.org/2010/catalog"
+      xmlns:pse="http://vaemendis.net/opds-pse/ns"
+      xmlns:opensearch="http://a9.com/-/spec/opensearch/1.1/">
+  <id>${escapeXml(id)}</id>
+  <title>${escapeXml(title)}</title>
+  <updated>${new Date().toISOString()}</updated>
+  <author><name>doujin-reader</name></author>
+  ${renderLink({ rel: 'self', href: self, type: kind })}
+${links.map(link => `  ${renderLink(link)}`).join('\n')}
+${entries.map(renderEntry).join('\n')}
+</feed>
+`;
+
+const OPDS2_TYPES = { [NAVIGATION]: OPDS2, [ACQUISITION]: OPDS2, [ENTRY]: OPDS2 };
+
+const IMAGE_RELS = [REL.thumbnail, REL.image];
+
+const toOpds2Link = ({ rel, href, type, title }) => ({
+  rel,
+  href,
+  type: OPDS2_TYPES[type] || type,
+  ...(title && { title }),
+  ...(/\{[^}]+\}/.test(href) && { templated: true })
+});
+
+// Entries that only lead to another feed become navigation links; the rest
+// are publications with their acquisition links and cover images
+const isNavigationEntry = (entry) =>
+  !entry.links.some(link => link.rel === REL.acquisition || link.rel === REL.stream);
+
+const toNavigation = (entry) => {
+  const { rel, ...link } = toOpds2Link(entry.links.find(l => !IMAGE_RELS.includes(l.rel)));
+  return { ...(rel !== 'subsection' && { rel }), ...link, title: entry.title };
+};
+
+const toPublication = (entry) => ({
+  metadata: {
+    '@type': 'http://schema.org/ComicIssue',
+    identifier: entry.id,
+    title: entry.title,
+    modified: (entry.updated || new Date()).toISOString(),
+    ...(entry.content && { description: entry.content }),
+    ...(entry.categories?.length && { subject: entry.categories.map(name => ({ name })) })
+  },
+  links: entry.links.filter(link => !IMAGE_RELS.includes(link.rel)).map(toOpds2Link),
+  images: entry.links.filter(link => IMAGE_RELS.includes(link.rel)).map(({ href, type }) => ({ href, type }))
+});
+
+/**
+ * The OPDS 2.0 form of a feed; takes the same object as buildOpdsFeed.
+ * @returns {object} the feed document, to be sent as JSON
+ */
+const buildOpds2Feed = ({ title, self, links = [], entries }) => {
+  const navigation = entries.filter(isNavigationEntry).map(toNavigation);
+  const publications = entries.filter(entry => !isNavigationEntry(entry)).map(toPublication);
+  return {
+    metadata: { title },
+    links: [{ rel: 'self', href: self, type: OPDS2 }, ...links.map(toOpds2Link)],
+    // A feed needs at least one of the two, even when it is empty
+    ...((navigation.length > 0 || publications.length === 0) && { navigation }),
+    ...(publications.length > 0 && { publications })
+  };
+};
+
+/**
+ * Readium Divina manifest: a chapter as a list of page images.
+ * @param {object} options
+ * @param {string} options.id
+ * @param {string} options.title
+ * @param {string} options.self - URL of this manifest
+ * @param {object[]} options.pages - { href, type, width?, height? }
+ * @returns {object} the manifest, to be sent as JSON
+ */
+const buildDivinaManifest = ({ id, title, self, pages }) => ({
+  '@context': 'https://readium.org/webpub-manifest/context.jsonld',
+  metadata: {
+    '@type': 'http://schema.org/ComicIssue',
+    conformsTo: 'https://readium.org/webpub-manifest/profiles/divina',
+    identifier: id,
+    title,
+    numberOfPages: pages.length
+  },
+  links: [{ rel: 'self', href: self, type: DIVINA }],
+  readingOrder: pages.map(({ href, type, width, height }) => ({
+    href,
+    type,
+    ...(width && height && { width, height })
+  }))
+});
+
+/**
+ * @param {object} options
+ * @param {string} options.title
+ * @param {string} options.template - search feed URL with {searchTerms}
+ * @returns {string} the OpenSearch description document
+ */
+const buildOpenSearch = ({ title, template }) => `<?xml version="1.0" encoding="utf-8"?>
+<OpenSearchDescription xmlns="http://a9.com/-/spec/opensearch/1.1/">
+  <ShortName>${escapeXml(title)}</ShortName>
+  <Description>Search ${escapeXml(title)}</Description>
+  <InputEncoding>UTF-8</InputEncoding>
+  <OutputEncoding>UTF-8</OutputEncoding>
+  <Url type="application/atom+xml" template="${escapeXml(template)}"/>
+</OpenSearchDescription>
+`;
+
+module.exports = {
+  NAVIGATION,
+  ACQUISITION,
+  ENTRY,
+  OPENSEARCH,
+  OPDS2,
+  DIVINA,
+  REL,
+  buildOpdsFeed,
+  buildOpds2Feed,
+  buildDivinaManifest,
+  buildOpenSearch
+};
@@ -0,0 +1,77 @@
+// Deployment profiles
+//
+// A profile decides which browser settings the pool launches with and which
+// route groups the server mounts. `full` is what tesapi.js used to be (a
+// desktop with a visible Chromium and the bulk crawl routes); `vps` is what
+// vpsonly.js used to be (system Chromium, headless, no bulk routes).
+//
+// SERVER_PROFILE picks the profile; CHROMIUM_PATH, HEADLESS and ROUTES
+// override single settings of it.
+
+const BASE_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-dev-shm-usage',
+  '--disable-gpu',
+  '--disable-extensions'
+];
+
+const ROUTE_GROUPS = [
+  'catalog', 'comics', 'images', 'jobs', 'tracking', 'feeds', 'opds', 'export', 'admin', 'health', 'metrics'
+];
+
+const profiles = {
+  full: {
+    browser: {
+      headless: false,
+      args: [
+        ...BASE_ARGS,
+        '--disable-accelerated-2d-canvas',
+        '--disable-infobars',
+        '--js-flags=--max-old-space-size=500'
+      ]
+    },
+    routes: ROUTE_GROUPS
+  },
+
+  vps: {
+    browser: {
+      executablePath: '/usr/bin/chromium-browser',
+      headless: true,
+      args: BASE_ARGS
+    },
+    routes: ['catalog', 'comics', 'images', 'tracking', 'feeds', 'opds', 'export', 'health', 'metrics']
+  }
+};
+
+// Shared by every profile
+const BROWSER_DEFAULTS = {
+  defaultViewport: { width: 1280, height: 720 },
+  ignoreHTTPSErrors: true,
+  timeout: 15000
+};
+
+const loadProfile = (name = process.env.SERVER_PROFILE || 'full') => {
+  const profile = profiles[name];
+  if (!profile) {
+    throw new Error(`Unknown server profile "${name}" (expected one of: ${Object.keys(profiles).join(', ')})`);
+  }
+
+  const browser = { ...BROWSER_DEFAULTS, ...profile.browser };
+  if (process.env.CHROMIUM_PATH) browser.executablePath = process.env.CHROMIUM_PATH;
+  if (process.env.HEADLESS) browser.headless = process.env.HEADLESS !== 'false';
+
+  const routes = process.env.ROUTES
+    ? process.env.ROUTES.split(',').map(r => r.trim()).filter(r => ROUTE_GROUPS.includes(r))
+    : profile.routes;
+
+  return {
+    name,
+    port: parseInt(process.env.PORT) || 5000,
+    poolSize: parseInt(process.env.BROWSER_POOL_SIZE) || 3,
+    browser,
+    routes
+  };
+};
+
+module.exports = { ROUTE_GROUPS, loadProfile };
@@ -0,0 +1,126 @@
+// Rate limiting with token buckets, one bucket per client and policy
+//
+// Clients are told apart by their API key when auth.js has authenticated one
+// (req.apiKey), otherwise by IP; set TRUST_PROXY when the
+// server sits behind a reverse proxy so req.ip is the real client. The job
+// handlers' internal key is not limited: a crawl job makes its calls through
+// the server on purpose, and its own batch sizes pace them.
+//
+// Routes are grouped into policies with their own budgets:
+//   read    cheap reads served from the cache or the database
+//   scrape  routes that may drive a browser or download from the source
+//   bulk    crawl jobs, exports and other long running work
+// RATE_LIMIT_<POLICY>=burst,perMinute changes a budget, e.g.
+// RATE_LIMIT_SCRAPE=20,10; RATE_LIMIT=off turns limiting off.
+//
+// Every answer carries RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset
+// and RateLimit-Policy headers; 429 answers add Retry-After.
+
+const { routePath } = require('./routePath');
+
+const DEFAULT_POLICIES = {
+  read: { burst: 120, perMinute: 120 },
+  scrape: { burst: 20, perMinute: 30 },
+  bulk: { burst: 5, perMinute: 2 }
+};
+
+// [path, policy, method]; the first match wins and everything else is
+// `read`. Paths are compared the way Express routes them (see routePath.js).
+// Watching a job (GET /jobs...) is a read; queueing one is not. /proxy and
+// /opds/page download from the source (and /opds/page scrapes a chapter it
+// has not stored), so they count as scrapes.
+// Stored files are not limited: one chapter alone can be hundreds of them;
+// neither is /metrics, which Prometheus polls with a key (see auth.js).
+const ROUTE_POLICIES = [
+  [/^\/files\//, null],
+  [/^\/metrics$/, null],
+  [/^\/(auto-fetch|auto-json|auto-thumbnail)$/, 'bulk'],
+  [/^\/jobs$/, 'bulk', 'POST'],
+  [/^\/export\//, 'bulk'],
+  [/^\/tracked\/check$/, 'bulk'],
+  [/^\/(doujin|search|detail|get-comic|get|proxy)$/, 'scrape'],
+  [/^\/opds\/(v2\/)?(latest|search|series|chapter|manifest)$/, 'scrape'],
+  [/^\/opds\/page$/, 'scrape'],
+  [/^\/feed\//, 'scrape'],
+  [/^\/track$/, 'scrape']
+];
+
+const IDLE_CLEANUP_INTERVAL = 60 * 1000; // ms
+
+const loadPolicies = () => Object.fromEntries(Object.entries(DEFAULT_POLICIES).map(([name, policy]) => {
+  const value = process.env[`RATE_LIMIT_${name.toUpperCase()}`];
+  if (!value) return [name, policy];
+  const [burst, perMinute] = value.split(',').map(n => parseFloat(n));
+  return [name, {
+    burst: burst > 0 ? burst : policy.burst,
+    perMinute: perMinute > 0 ? perMinute : policy.perMinute
+  }];
+}));
+
+const policyFor = (method, path) => {
+  const normalized = routePath(path);
+  const match = ROUTE_POLICIES.find(([pattern, , only]) => (!only || only === method) && pattern.test(normalized));
+  return match ? match[1] : 'read'; // null: not limited
+};
+
+const createRateLimiter = () => {
+  if (process.env.RATE_LIMIT === 'off') return (req, res, next) => next();
+
+  const policies = loadPolicies();
+  const buckets = new Map(); // `${policy}:${client}` -> { tokens, updatedAt }
+
+  // Tops the bucket up for the time since it was last used
+  const refill = (bucket, policy, now) => {
+    const perMs = policy.perMinute / 60000;
+    bucket.tokens = Math.min(policy.burst, bucket.tokens + (now - bucket.updatedAt) * perMs);
+    bucket.updatedAt = now;
+  };
+
+  const middleware = (req, res, next) => {
+    const name = policyFor(req.method, req.path);
+    if (!name || req.apiKey?.internal) return next();
+    const policy = policies[name];
+    const client = req.apiKey ? `key:${req.apiKey.id}` : `ip:${req.ip || req.connection.remoteAddress}`;
+    const bucketKey = `${name}:${client}`;
+    const now = Date.now();
+
+    let bucket = buckets.get(bucketKey);
+    if (!bucket) {
+      bucket = { tokens: policy.burst, updatedAt: now };
+      buckets.set(bucketKey, bucket);
+    }
+    refill(bucket, policy, now);
+
+    const allowed = bucket.tokens >= 1;
+    if (allowed) bucket.tokens -= 1;
+
+    const perSecond = policy.perMinute / 60;
+    res.set({
+      'RateLimit-Limit': String(policy.burst),
+      'RateLimit-Remaining': String(Math.floor(bucket.tokens)),
+      'RateLimit-Reset': String(Math.ceil((policy.burst - bucket.tokens) / perSecond)),
+      'RateLimit-Policy': `${policy.burst};w=${Math.ceil(policy.burst / perSecond)};policy="${name}"`
+    });
+
+    if (!allowed) {
+      res.set('Retry-After', String(Math.ceil((1 - bucket.tokens) / perSecond)));
+      return res.status(429).json({ error: 'Too many requests', policy: name });
+    }
+
+    next();
+  };
+
+  // Buckets that have filled up again are the same as new ones
+  setInterval(() => {
+    const now = Date.now();
+    buckets.forEach((bucket, key) => {
+      const policy = policies[key.slice(0, key.indexOf(':'))];
+      refill(bucket, policy, now);
+      if (bucket.tokens >= policy.burst) buckets.delete(key);
+    });
+  }, IDLE_CLEANUP_INTERVAL).unref();
+
+  return middleware;
+};
+
+module.exports = { createRateLimiter, policyFor };
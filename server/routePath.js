@@ -0,0 +1,10 @@
+// Request paths in the form Express routes them by
+//
+// Express ignores case and a trailing slash when it matches a route, so
+// /Admin/keys/ reaches the /admin/keys handler. The tables that classify
+// requests by path (ROUTE_ROLES in auth.js, ROUTE_POLICIES in rateLimit.js)
+// match against this form so that no spelling of a path slips past them.
+
+const routePath = (path) => path.toLowerCase().replace(/\/+$/, '') || '/';
+
+module.exports = { routePath };
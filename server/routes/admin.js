@@ -0,0 +1,219 @@
+// Admin routes: an overview, API keys, the cache and the perceptual hashes
+// of known credit/ad pages. All of them need an admin key (see auth.js).
+//
+//   GET    /admin/stats                                  browser pool, cache,
+//                                                        running and queued
+//                                                        jobs, recent failures
+//                                                        and storage use
+//   GET    /admin/keys                                   issued keys, without
+//                                                        the keys themselves
+//   POST   /admin/keys?role=<role>[&name=]               issue a key; the
+//                                                        answer is the only
+//                                                        place it appears
+//   DELETE /admin/keys?id=<key id>                       revoke a key
+//   GET    /admin/cache                                  cache statistics
+//   DELETE /admin/cache?prefix=<key prefix>              drop matching entries
+//                                                        from both tiers; an
+//                                                        empty prefix drops all
+//   GET    /admin/junk-hashes                            listed hashes
+//   POST   /admin/junk-hashes?hash=<phash>[&note=]       list a hash
+//   POST   /admin/junk-hashes?url=<chapter slug>&page=<n>[&note=]
+//                                                        list the hash of a
+//                                                        stored page (1-based)
+//   DELETE /admin/junk-hashes?hash=<phash>               unlist a hash
+//
+// /get-comic?skipJunk=1 leaves out pages close to any listed hash.
+
+const express = require('express');
+const { sourceKey } = require('../sources');
+const {
+  getComicFromDB,
+  getJunkHashes,
+  addJunkHash,
+  removeJunkHash,
+  getStorageUsage,
+  getFailedPages
+} = require('../db');
+const { resolveSource } = require('./util');
+
+const isPhash = (value) => /^[0-9a-f]{16}$/.test(value || '');
+
+/**
+ * @param {object} deps
+ * @param {object} deps.cache - from createCache
+ * @param {object} deps.auth - from createAuth
+ * @param {object} deps.pool - browser pool from createBrowserPool
+ * @param {object} deps.scrapers - from createScrapers
+ * @param {object} deps.storage - from createStorage
+ * @param {object|null} deps.jobQueue - from createJobQueue, null when the
+ *   profile runs no jobs
+ */
+const createAdminRouter = ({ cache, auth, pool, scrapers, storage, jobQueue }) => {
+  const router = express.Router();
+
+  router.get('/admin/stats', async (req, res) => {
+    try {
+      const [running, queued, usage, failedPages] = await Promise.all([
+        jobQueue ? jobQueue.list({ status: 'running' }) : [],
+        jobQueue ? jobQueue.list({ status: 'queued' }) : [],
+        getStorageUsage(),
+        getFailedPages()
+      ]);
+
+      res.json({
+        success: true,
+        uptime: process.uptime(),
+        memory: process.memoryUsage().rss,
+        browserPool: pool.stats(),
+        cache: cache.stats(),
+        jobs: jobQueue ? { running, queued } : null,
+        failures: {
+          scrapes: scrapers.failures(),
+          pages: failedPages.map(row => ({
+            slug: row.comic_slug,
+            page: row.page_index + 1,
+            sourceUrl: row.source_url,
+            error: row.error,
+            at: new Date(row.updated_at).toISOString()
+          }))
+        },
+        storage: { driver: storage.name, ...usage }
+      });
+    } catch (err) {
+      console.error('Error in /admin/stats:', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.get('/admin/keys', async (req, res) => {
+    try {
+      res.json({ success: true, keys: await auth.list() });
+    } catch (err) {
+      console.error('Error in /admin/keys:', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.post('/admin/keys', async (req, res) => {
+    if (!req.query.role) return res.status(400).json({ error: 'Parameter role wajib' });
+
+    try {
+      const issued = await auth.issue(req.query.name || null, req.query.role);
+      console.log(`🔑 Issued ${issued.role} key ${issued.id}${issued.name ? ` (${issued.name})` : ''}`);
+      res.status(201).json({ success: true, ...issued });
+    } catch (err) {
+      if (err.status !== 400) console.error('Error in POST /admin/keys:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  });
+
+  router.delete('/admin/keys', async (req, res) => {
+    const id = req.query.id;
+    if (!id) return res.status(400).json({ error: 'Parameter id wajib' });
+
+    try {
+      const found = await auth.revoke(id);
+      if (!found) return res.status(404).json({ error: 'Key not found or already revoked' });
+      console.log(`🔑 Revoked key ${id}`);
+      res.json({ success: true, id });
+    } catch (err) {
+      console.error('Error in DELETE /admin/keys:', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.get('/admin/cache', (req, res) => {
+    res.json({ success: true, stats: cache.stats(), policies: cache.policies });
+  });
+
+  router.delete('/admin/cache', async (req, res) => {
+    const prefix = req.query.prefix;
+    if (typeof prefix !== 'string') return res.status(400).json({ error: 'Parameter prefix wajib' });
+
+    try {
+      const removed = await cache.purge(prefix);
+      console.log(`🧹 Purged cache prefix "${prefix}": ${removed.memory} in memory, ${removed.store} stored`);
+      res.json({ success: true, prefix, removed });
+    } catch (err) {
+      console.error('Error in DELETE /admin/cache:', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.get('/admin/junk-hashes', async (req, res) => {
+    try {
+      const rows = await getJunkHashes();
+      res.json({
+        success: true,
+        hashes: rows.map(row => ({
+          hash: row.phash,
+          note: row.note || null,
+          createdAt: new Date(row.created_at).toISOString()
+        }))
+      });
+    } catch (err) {
+      console.error('Error in /admin/junk-hashes:', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // The hash named by ?hash=, or the one of the page named by ?url= and
+  // ?page=. Answers the request itself when there is none.
+  const resolveHash = async (req, res) => {
+    if (req.query.hash) {
+      const hash = req.query.hash.toLowerCase();
+      if (isPhash(hash)) return hash;
+      res.status(400).json({ error: 'Invalid hash, expected 16 hex digits' });
+      return null;
+    }
+
+    const slug = req.query.url?.replace(/^\//, '').replace(/\/$/, '');
+    const pageNumber = parseInt(req.query.page);
+    if (!slug || !(pageNumber > 0)) {
+      res.status(400).json({ error: 'Parameter hash atau url+page wajib' });
+      return null;
+    }
+
+    const source = resolveSource(req, res);
+    if (!source) return null;
+
+    const pages = await getComicFromDB(sourceKey(source, slug));
+    const page = pages?.find(p => p.index === pageNumber - 1);
+    if (!page?.phash) {
+      res.status(404).json({ error: 'Page not found or not hashed yet' });
+      return null;
+    }
+    return page.phash;
+  };
+
+  router.post('/admin/junk-hashes', async (req, res) => {
+    try {
+      const hash = await resolveHash(req, res);
+      if (!hash) return;
+
+      await addJunkHash(hash, req.query.note || null);
+      res.json({ success: true, hash });
+    } catch (err) {
+      console.error('Error in POST /admin/junk-hashes:', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.delete('/admin/junk-hashes', async (req, res) => {
+    const hash = req.query.hash?.toLowerCase();
+    if (!isPhash(hash)) return res.status(400).json({ error: 'Invalid hash, expected 16 hex digits' });
+
+    try {
+      const found = await removeJunkHash(hash);
+      if (!found) return res.status(404).json({ error: 'Hash not listed' });
+      res.json({ success: true, hash });
+    } catch (err) {
+      console.error('Error in DELETE /admin/junk-hashes:', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,115 @@
+// Catalog routes: /sources, /doujin, /search and /detail
+
+const express = require('express');
+const { listSources } = require('../sources');
+const { resolveSource } = require('./util');
+
+/**
+ * @param {object} deps
+ * @param {object} deps.scrapers - from createScrapers
+ * @param {object} deps.cache - from createCache
+ * @param {object} deps.series - from createSeriesService
+ */
+const createCatalogRouter = ({ scrapers, cache, series }) => {
+  const router = express.Router();
+
+  router.get('/sources', (req, res) => {
+    res.json({ success: true, sources: listSources() });
+  });
+
+  router.get('/doujin', async (req, res) => {
+    const source = resolveSource(req, res);
+    if (!source) return;
+
+    const pageNumber = req.query.page || 1;
+    const cacheKey = `doujin_page_${source.name}_${pageNumber}`;
+
+    try {
+      const targetUrl = source.listUrl(pageNumber);
+      if (source.isValidListUrl && !source.isValidListUrl(targetUrl)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid URL format'
+        });
+      }
+
+      const { value: listing, state } = await cache.wrap(cacheKey, cache.policies.list, async () => {
+        const { results, totalPages } = await scrapers.list(source, pageNumber);
+        return { results, totalPages };
+      });
+
+      if (state === 'miss') res.set('Cache-Control', 'public, max-age=600');
+      res.json({
+        status: 'success',
+        data: listing.results,
+        totalPages: listing.totalPages,
+        source: state === 'miss' ? 'fresh' : 'cache',
+        stale: state === 'stale'
+      });
+    } catch (error) {
+      console.error('Error in /doujin:', error);
+      res.status(500).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+  });
+
+  router.get('/search', async (req, res) => {
+    const source = resolveSource(req, res);
+    if (!source) return;
+
+    const query = req.query.q;
+    const pageNumber = parseInt(req.query.page) || 1;
+    if (!query) return res.status(400).json({ error: 'Query required' });
+
+    const cacheKey = `search-${source.name}-${query}-${pageNumber}`;
+
+    try {
+      const { value: found, state } = await cache.wrap(cacheKey, cache.policies.search, async () => {
+        const { results, totalPages } = await scrapers.search(source, query, pageNumber);
+        return { success: true, page: pageNumber, totalPages, results };
+      });
+
+      if (state === 'miss') res.set('Cache-Control', 'public, max-age=600');
+      res.json({ ...found, cached: state !== 'miss', stale: state === 'stale' });
+    } catch (err) {
+      console.error('Error in /search:', err);
+      res.status(500).json({
+        error: err.message,
+        code: err.code
+      });
+    }
+  });
+
+  router.get('/detail', async (req, res) => {
+    const source = resolveSource(req, res);
+    if (!source) return;
+
+    const url = req.query.url;
+    if (!url) return res.status(400).json({ error: 'Parameter url wajib' });
+
+    try {
+      // The database already keeps series; this saves the query and lets a
+      // stale answer go out while the database one is fetched
+      const { value: response, state } = await cache.wrap(
+        `detail-${source.name}-${url}`,
+        cache.policies.detail,
+        () => series.getDetail(source, url)
+      );
+
+      if (state === 'miss' && response.cached === false) res.set('Cache-Control', 'public, max-age=600');
+      res.json(response);
+    } catch (err) {
+      console.error('Error in /detail:', err);
+      res.status(500).json({
+        error: err.message,
+        code: err.code
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createCatalogRouter };
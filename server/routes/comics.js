@@ -0,0 +1,44 @@
+// Chapter route: /get-comic?url=<chapter slug>[&skipJunk=1]
+
+const express = require('express');
+const { resolveSource } = require('./util');
+
+/**
+ * @param {object} deps
+ * @param {object} deps.comics - from createComicService
+ */
+const createComicsRouter = ({ comics }) => {
+  const router = express.Router();
+
+  router.get('/get-comic', async (req, res) => {
+    const source = resolveSource(req, res);
+    if (!source) return;
+
+    const slug = req.query.url;
+
+    // Handle slug validation
+    const cleanSlug = slug?.replace(/^\//, '').replace(/\/$/, '');
+    if (!cleanSlug) {
+      return res.status(400).json({ error: 'Parameter url/slug wajib' });
+    }
+
+    try {
+      const skipJunk = ['1', 'true'].includes(req.query.skipJunk);
+      const response = await comics.getComic(source, cleanSlug, { skipJunk });
+      if (!response) return res.status(404).json({ error: 'Comic not found' });
+
+      if (response.cached === false) res.set('Cache-Control', 'public, max-age=600');
+      res.json(response);
+    } catch (err) {
+      console.error('Error in /get-comic:', err);
+      res.status(500).json({
+        error: err.message,
+        code: err.code
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createComicsRouter };
@@ -0,0 +1,183 @@
+// Export routes: chapters and series as downloadable files
+//
+//   GET /export/chapter.cbz?url=<chapter slug>[&series=<series slug>]
+//   GET /export/chapter.pdf?url=<chapter slug>[&series=<series slug>]
+//   GET /export/series.pdf?url=<series slug>
+//   GET /export/series.epub?url=<series slug>
+//
+// `series` is only needed for chapters that are not in any series /detail
+// has stored yet; it fills in the series fields of the exported file.
+//
+// A chapter export scrapes the chapter if it is not stored yet, like
+// /get-comic. A series export only holds the chapters already stored (crawl
+// the rest first, e.g. by tracking the series); it answers 404 when none
+// are, and otherwise says how many it left out in X-Missing-Chapters.
+
+const express = require('express');
+const AbortController = require('abort-controller');
+const { loadChapter, loadStoredChapters } = require('../export/chapter');
+const { writeCbz } = require('../export/cbz');
+const { writePdf } = require('../export/pdf');
+const { writeEpub } = require('../export/epub');
+const { resolveSource } = require('./util');
+
+// Keeps file names readable but safe for every file system
+const fileName = (...parts) => parts
+  .filter(Boolean)
+  .join(' - ')
+  .replace(/[\\/:*?"<>|]+/g, '')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .slice(0, 150);
+
+const cleanSlug = (slug) => slug?.replace(/^\//, '').replace(/\/$/, '');
+
+/**
+ * @param {object} deps
+ * @param {object} deps.comics - from createComicService
+ * @param {object} deps.series - from createSeriesService
+ */
+const createExportRouter = ({ comics, series }) => {
+  const router = express.Router();
+
+  // Loads the chapter named by ?url=, answering the request itself when it
+  // cannot be exported
+  const resolveChapter = async (req, res, source) => {
+    const slug = cleanSlug(req.query.url);
+    if (!slug) {
+      res.status(400).json({ error: 'Parameter url/slug wajib' });
+      return null;
+    }
+
+    try {
+      const chapter = await loadChapter({ comics, series }, source, slug, req.query.series);
+      if (!chapter) {
+        res.status(404).json({ error: 'Comic not found' });
+      } else if (chapter.pages.length === 0) {
+        res.status(404).json({ error: 'No pages to export' });
+      } else {
+        return chapter;
+      }
+    } catch (err) {
+      console.error(`Error in ${req.path}:`, err);
+      res.status(500).json({ error: err.message });
+    }
+    return null;
+  };
+
+  // Streams write(signal) into the response as a download
+  const sendFile = async (req, res, name, type, write) => {
+    // Stop downloading pages once the client is gone
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+
+    res.attachment(name);
+    res.type(type);
+
+    try {
+      await write(controller.signal);
+    } catch (err) {
+      // Headers are gone by now; all we can do is cut the download short
+      console.error(`Export ${req.originalUrl} failed:`, err);
+      res.destroy(err);
+    }
+  };
+
+  router.get('/export/chapter.cbz', async (req, res) => {
+    const source = resolveSource(req, res);
+    if (!source) return;
+
+    const chapter = await resolveChapter(req, res, source);
+    if (!chapter) return;
+
+    await sendFile(req, res, `${fileName(chapter.series?.title, chapter.title)}.cbz`, 'application/vnd.comicbook+zip',
+      signal => writeCbz(chapter, res, { referer: source.baseUrl, signal }));
+  });
+
+  router.get('/export/chapter.pdf', async (req, res) => {
+    const source = resolveSource(req, res);
+    if (!source) return;
+
+    const chapter = await resolveChapter(req, res, source);
+    if (!chapter) return;
+
+    const title = fileName(chapter.series?.title, chapter.title);
+    await sendFile(req, res, `${title}.pdf`, 'application/pdf',
+      signal => writePdf([chapter], res, { title, referer: source.baseUrl, signal }));
+  });
+
+  // Loads the series named by ?url= and its stored chapters, answering the
+  // request itself when there is nothing to export
+  const resolveSeries = async (req, res, source) => {
+    const slug = cleanSlug(req.query.url);
+    if (!slug) {
+      res.status(400).json({ error: 'Parameter url wajib' });
+      return {};
+    }
+
+    try {
+      const { detail } = await series.getDetail(source, slug);
+      const { chapters, missing } = await loadStoredChapters(source, slug, detail);
+      if (chapters.length === 0) {
+        res.status(404).json({ error: 'No stored chapters to export', missing: missing.length });
+        return {};
+      }
+      if (missing.length > 0) {
+        console.log(`Export of ${slug} leaves out ${missing.length} chapter(s) that are not stored`);
+        res.set('X-Missing-Chapters', String(missing.length));
+      }
+      return { slug, detail, chapters };
+    } catch (err) {
+      console.error(`Error in ${req.path}:`, err);
+      res.status(500).json({ error: err.message });
+      return {};
+    }
+  };
+
+  router.get('/export/series.pdf', async (req, res) => {
+    const source = resolveSource(req, res);
+    if (!source) return;
+
+    const { slug, detail, chapters } = await resolveSeries(req, res, source);
+    if (!detail) return;
+
+    const title = fileName(detail.title) || slug;
+    await sendFile(req, res, `${title}.pdf`, 'application/pdf', async signal => {
+      const stats = await writePdf(chapters, res, {
+        title,
+        referer: source.baseUrl,
+        signal
+      });
+      console.log(`📄 Exported ${slug} as PDF: ${stats.pages} pages, ${stats.skipped} skipped`);
+    });
+  });
+
+  router.get('/export/series.epub', async (req, res) => {
+    const source = resolveSource(req, res);
+    if (!source) return;
+
+    const { slug, detail, chapters } = await resolveSeries(req, res, source);
+    if (!detail) return;
+
+    const title = detail.title?.trim() || slug;
+    const book = {
+      identifier: source.detailUrl(slug),
+      title,
+      language: source.language,
+      genres: detail.genres,
+      thumbnail: detail.thumbnail
+    };
+
+    await sendFile(req, res, `${fileName(title) || slug}.epub`, 'application/epub+zip', async signal => {
+      const stats = await writeEpub(book, chapters, res, {
+        referer: source.baseUrl,
+        signal
+      });
+      console.log(`📚 Exported ${slug} as EPUB: ${stats.pages} pages, ${stats.skipped} skipped`);
+    });
+  });
+
+  return router;
+};
+
+module.exports = { createExportRouter };
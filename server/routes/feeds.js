@@ -0,0 +1,117 @@
+// Feed routes: /feed/latest.xml and /feed/series/:slug.xml (Atom)
+//
+// Entries link to the reader app when READER_URL is set (e.g.
+// https://reader.example.com), otherwise to the source site.
+
+const express = require('express');
+const { buildAtomFeed, parseSourceDate } = require('../atom');
+const { resolveSource } = require('./util');
+
+const READER_URL = (process.env.READER_URL || '').replace(/\/$/, '');
+
+const trimSlashes = (value) => value.replace(/^\//, '').replace(/\/$/, '');
+
+const seriesLink = (source, slug) =>
+  READER_URL ? `${READER_URL}/detail/${slug}` : source.detailUrl(slug);
+
+const chapterLink = (source, link) => {
+  const absolute = new URL(link, source.baseUrl).href;
+  return READER_URL
+    ? `${READER_URL}/read/${trimSlashes(absolute.replace(source.baseUrl, ''))}`
+    : absolute;
+};
+
+const selfUrl = (req) => `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+
+const sendFeed = (res, xml) => {
+  res.set('Content-Type', 'application/atom+xml; charset=utf-8');
+  res.set('Cache-Control', 'public, max-age=600');
+  res.send(xml);
+};
+
+/**
+ * @param {object} deps
+ * @param {object} deps.scrapers - from createScrapers
+ * @param {object} deps.cache - from createCache
+ * @param {object} deps.series - from createSeriesService
+ */
+const createFeedsRouter = ({ scrapers, cache, series }) => {
+  const router = express.Router();
+
+  router.get('/feed/latest.xml', async (req, res) => {
+    const source = resolveSource(req, res);
+    if (!source) return;
+
+    try {
+      // Same cache entry as /doujin?page=1
+      const cacheKey = `doujin_page_${source.name}_1`;
+      const { value: listing } = await cache.wrap(cacheKey, cache.policies.list, async () => {
+        const { results, totalPages } = await scrapers.list(source, 1);
+        return { results, totalPages };
+      });
+
+      const now = new Date();
+      const entries = listing.results
+        .filter(item => item.link)
+        .map(item => ({
+          // A new chapter of the same series is a new entry
+          id: `${source.detailUrl(item.link)}#${encodeURIComponent(item.chapter || '')}`,
+          title: item.chapter ? `${item.title} - ${item.chapter}` : item.title,
+          link: seriesLink(source, item.link),
+          updated: parseSourceDate(item.time, now) || now,
+          summary: [item.type, item.chapter].filter(Boolean).join(' · '),
+          thumbnail: item.thumbnail
+        }));
+
+      sendFeed(res, buildAtomFeed({
+        id: `${source.baseUrl}#latest`,
+        title: `${source.label} - Latest updates`,
+        link: READER_URL || source.baseUrl,
+        self: selfUrl(req),
+        author: source.label,
+        entries
+      }));
+    } catch (err) {
+      console.error('Error in /feed/latest.xml:', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.get('/feed/series/:slug.xml', async (req, res) => {
+    const source = resolveSource(req, res);
+    if (!source) return;
+
+    const slug = req.params.slug;
+
+    try {
+      const { detail, scrapedAt } = await series.getDetail(source, slug);
+      const fallbackDate = scrapedAt ? new Date(scrapedAt) : new Date();
+
+      const entries = detail.chapters
+        .filter(chapter => chapter.chapterLink)
+        .map(chapter => ({
+          id: new URL(chapter.chapterLink, source.baseUrl).href,
+          title: chapter.chapterTitle || chapter.chapterName || chapter.chapterLink,
+          link: chapterLink(source, chapter.chapterLink),
+          updated: parseSourceDate(chapter.chapterDate, fallbackDate) || fallbackDate,
+          summary: chapter.chapterName
+        }));
+
+      sendFeed(res, buildAtomFeed({
+        id: source.detailUrl(slug),
+        title: detail.title || slug,
+        link: seriesLink(source, slug),
+        self: selfUrl(req),
+        author: source.label,
+        entries
+      }));
+    } catch (err) {
+      console.error('Error in /feed/series:', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createFeedsRouter };
@@ -0,0 +1,26 @@
+// Health check route
+
+const express = require('express');
+
+/**
+ * @param {object} deps
+ * @param {object} deps.pool - browser pool from createBrowserPool
+ * @param {object} deps.profile - the loaded deployment profile
+ */
+const createHealthRouter = ({ pool, profile }) => {
+  const router = express.Router();
+
+  router.get('/health', (req, res) => {
+    res.json({
+      status: 'ok',
+      uptime: process.uptime(),
+      timestamp: new Date().toISOString(),
+      profile: profile.name,
+      browserPool: pool.available()
+    });
+  });
+
+  return router;
+};
+
+module.exports = { createHealthRouter };
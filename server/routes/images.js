@@ -0,0 +1,215 @@
+// Image routes: /proxy serves or redirects source images, /get uploads a
+// thumbnail to storage and returns its CDN URL and pixel size. Anyone may
+// look up a stored thumbnail through /get; fetching and storing a new one
+// needs a reader key (../auth.js).
+//
+// Both only fetch URLs that pass ../safeFetch (host allowlist, no private
+// addresses, size cap, image magic bytes). Chromium never loads a client
+// supplied URL: /get only uses it to pick up the source's cookies.
+//
+// /proxy answers conditional and byte range requests: it passes the image
+// host's ETag and Last-Modified through (or derives an ETag from the bytes),
+// forwards the client's validators so an unchanged image is not downloaded
+// again, and serves single `Range: bytes=` ranges. PROXY_MAX_AGE sets the
+// Cache-Control max-age in seconds (default a day).
+
+const crypto = require('crypto');
+const express = require('express');
+const path = require('path');
+const { createTimeout } = require('../http');
+const { imageSize } = require('../imageInfo');
+const { checkUrl, fetchImage } = require('../safeFetch');
+const { createSingleflight } = require('../singleflight');
+const { getThumbnailFromDB, saveThumbnailToDB } = require('../db');
+const { resolveSource } = require('./util');
+
+const PROXY_MAX_AGE = parseInt(process.env.PROXY_MAX_AGE) || 24 * 60 * 60; // seconds
+
+// Answers with the image, or only the validators when the client's copy is
+// still good, or only the byte range it asked for
+const sendImage = (req, res, { buffer, contentType, etag, lastModified }) => {
+  res.set({
+    'Content-Type': contentType,
+    'Cache-Control': `public, max-age=${PROXY_MAX_AGE}`,
+    'Access-Control-Allow-Origin': '*',
+    'Accept-Ranges': 'bytes',
+    'ETag': etag || `"${crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 32)}"`
+  });
+  if (lastModified) res.set('Last-Modified', lastModified);
+
+  if (req.fresh) return res.status(304).end();
+
+  // If-Range: only serve the range while the client's copy is current
+  const ifRange = req.get('If-Range');
+  const rangeApplies = !ifRange || ifRange === res.get('ETag') || ifRange === lastModified;
+  const ranges = rangeApplies ? req.range(buffer.length, { combine: true }) : undefined;
+
+  if (ranges === -1) {
+    res.set('Content-Range', `bytes */${buffer.length}`);
+    return res.status(416).end();
+  }
+  // Malformed headers and several ranges get the whole image
+  if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+    const { start, end } = ranges[0];
+    res.set('Content-Range', `bytes ${start}-${end}/${buffer.length}`);
+    return res.status(206).send(buffer.subarray(start, end + 1));
+  }
+
+  res.send(buffer);
+};
+
+/**
+ * @param {object} deps
+ * @param {object} deps.pool - browser pool from createBrowserPool
+ * @param {object} deps.cache - from createCache
+ * @param {object} deps.storage - from createStorage
+ * @param {object} deps.auth - from createAuth
+ */
+const createImagesRouter = ({ pool, cache, storage, auth }) => {
+  const router = express.Router();
+  const uploads = createSingleflight(); // /get uploads running, by file name
+
+  // Downloads a thumbnail and uploads it. Resolves to the /get body.
+  const uploadThumbnail = async (source, imageUrl, parsedUrl, fileName) => {
+    // Bypass proteksi gambar: Chromium opens the source's own site to get
+    // past its bot check, and the image is fetched with the cookies that
+    // leaves for the image host
+    const cookies = await pool.withPage(source, async (page) => {
+      await page.goto(source.baseUrl, {
+        waitUntil: 'networkidle2',
+        timeout: 30000
+      });
+      return page.cookies(parsedUrl.href);
+    });
+
+    const headers = cookies.length > 0
+      ? { Cookie: cookies.map(({ name, value }) => `${name}=${value}`).join('; ') }
+      : {};
+    const { controller, timeout } = createTimeout(30000);
+    let imageBuffer, contentType;
+    try {
+      ({ buffer: imageBuffer, contentType } = await fetchImage(imageUrl, source, { signal: controller.signal, headers }));
+    } finally {
+      clearTimeout(timeout);
+    }
+
+    const cdnUrl = await storage.put(`IMAGES/${fileName}`, imageBuffer, { contentType });
+    const { width = null, height = null } = imageSize(imageBuffer) || {};
+    await saveThumbnailToDB(fileName, imageUrl, cdnUrl, { width, height });
+
+    return { cdnUrl, width, height };
+  };
+
+  router.get('/proxy', async (req, res) => {
+    const imageUrl = req.query.url;
+    if (!imageUrl) return res.status(400).send('URL gambar diperlukan');
+
+    // The source decides which hosts may be fetched and which
+    // Referer/User-Agent they see
+    const source = resolveSource(req, res);
+    if (!source) return;
+
+    // Increase proxy timeout to 15 seconds
+    const { controller, timeout } = createTimeout(15000);
+
+    const urlHash = crypto.createHash('md5').update(imageUrl).digest('hex');
+    const cacheKey = `proxy-${urlHash}`;
+
+    try {
+      // Try to get from cache first (memory or storage)
+      const cachedUrl = await cache.get(cacheKey);
+      if (cachedUrl) {
+        return res.redirect(cachedUrl);
+      }
+
+      // Check if we already have this image in storage
+      const fileName = `proxy_${urlHash}.jpg`;
+      const existing = await getThumbnailFromDB(fileName, imageUrl).catch(() => null);
+
+      if (existing) {
+        await cache.set(cacheKey, existing.url);
+        return res.redirect(existing.url);
+      }
+
+      // If not cached, fetch the image. The client's validators go along, so
+      // the image host can say it has not changed instead of sending it.
+      const conditional = {};
+      if (req.get('If-None-Match')) conditional['If-None-Match'] = req.get('If-None-Match');
+      if (req.get('If-Modified-Since')) conditional['If-Modified-Since'] = req.get('If-Modified-Since');
+
+      const image = await fetchImage(imageUrl, source, { signal: controller.signal, headers: conditional });
+      if (image.notModified) {
+        if (image.etag) res.set('ETag', image.etag);
+        if (image.lastModified) res.set('Last-Modified', image.lastModified);
+        res.set('Cache-Control', `public, max-age=${PROXY_MAX_AGE}`);
+        return res.status(304).end();
+      }
+      const { buffer: imageBuffer, contentType } = image;
+
+      // For frequently accessed images, store them
+      const proxyCount = await cache.get(`proxy-count-${urlHash}`) || 0;
+      if (proxyCount > 3) {
+        // This image has been requested multiple times, let's store it
+        try {
+          const cdnUrl = await storage.put(`proxy/${fileName}`, imageBuffer, { contentType });
+          await saveThumbnailToDB(fileName, imageUrl, cdnUrl, imageSize(imageBuffer) || {});
+
+          await cache.set(cacheKey, cdnUrl);
+          return res.redirect(cdnUrl);
+        } catch (uploadError) {
+          console.error('Failed to upload proxy image:', uploadError);
+          // Continue with direct streaming if upload fails
+        }
+      } else {
+        // Increment request counter for this URL
+        await cache.set(`proxy-count-${urlHash}`, proxyCount + 1);
+      }
+
+      // Send the image directly if not stored
+      sendImage(req, res, image);
+    } catch (err) {
+      console.error(`Proxy Error [${imageUrl}]:`, err.message);
+      const statusCode = err.status || (err.message.includes('aborted') ? 504 : 500);
+      res.status(statusCode).send(err.message);
+    } finally {
+      clearTimeout(timeout);
+    }
+  });
+
+  router.get('/get', async (req, res) => {
+    const imageUrl = req.query.url;
+
+    if (!imageUrl) {
+      return res.status(400).json({ error: 'Image URL is required' });
+    }
+
+    const source = resolveSource(req, res);
+    if (!source) return;
+
+    try {
+      const parsedUrl = await checkUrl(imageUrl, source);
+      const fileName = path.basename(parsedUrl.pathname); // contoh: "45673.jpg"
+
+      // Cek database
+      const existing = await getThumbnailFromDB(fileName);
+      if (existing) {
+        return res.json({ cdnUrl: existing.url, width: existing.width, height: existing.height });
+      }
+      if (!auth.allows(req, 'reader')) return auth.deny(req, res, 'reader');
+
+      // Readers opening the same listing ask for the same thumbnails at once
+      const uploaded = await uploads.run(fileName, () => uploadThumbnail(source, imageUrl, parsedUrl, fileName));
+      return res.json(uploaded);
+    } catch (error) {
+      console.error('Error:', error);
+      return res.status(error.status || 500).json({
+        error: 'Gagal memproses gambar',
+        details: error.message
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createImagesRouter, sendImage };
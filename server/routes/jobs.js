@@ -0,0 +1,161 @@
+// Bulk job routes
+// /auto-fetch, /auto-json and /auto-thumbnail queue a job and answer right
+// away; progress and results are read back from /jobs/:id.
+
+const express = require('express');
+
+/**
+ * @param {object} deps
+ * @param {object} deps.jobQueue - from createJobQueue
+ */
+const createJobsRouter = ({ jobQueue }) => {
+  const router = express.Router();
+
+  const enqueueJob = async (res, type, input) => {
+    try {
+      const job = await jobQueue.enqueue(type, input);
+      res.status(202).json({
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/jobs/${job.id}`
+      });
+    } catch (error) {
+      if (error.status !== 400) console.error(`Failed to queue ${type} job:`, error);
+      res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+  };
+
+  // Query-string timeouts are given in seconds
+  const timeoutParam = (req) => req.query.timeout ? parseInt(req.query.timeout) * 1000 : undefined;
+
+  router.get('/auto-fetch', (req, res) => enqueueJob(res, 'auto-fetch', {
+    query: req.query.q,
+    page: req.query.pages, // the page number to fetch, not a page count
+    timeout: timeoutParam(req),
+    source: req.query.source
+  }));
+
+  router.get('/auto-json', (req, res) => enqueueJob(res, 'auto-json', {
+    file: req.query.file,
+    timeout: timeoutParam(req),
+    source: req.query.source
+  }));
+
+  router.get('/auto-thumbnail', (req, res) => enqueueJob(res, 'auto-thumbnail', {
+    query: req.query.q,
+    startPage: req.query.page,
+    maxPages: req.query.maxPages,
+    timeout: timeoutParam(req),
+    source: req.query.source
+  }));
+
+  router.post('/jobs', (req, res) => {
+    const { type, params } = req.body || {};
+    if (!type) {
+      return res.status(400).json({
+        success: false,
+        error: `Job type required (${jobQueue.types().join(', ')})`
+      });
+    }
+    enqueueJob(res, type, params || {});
+  });
+
+  router.get('/jobs', async (req, res) => {
+    const { status } = req.query;
+    if (status && !jobQueue.STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `Unknown status: ${status}` });
+    }
+
+    try {
+      const jobs = await jobQueue.list({ status, limit: Math.min(parseInt(req.query.limit) || 50, 200) });
+      res.json({ success: true, jobs });
+    } catch (error) {
+      console.error('Error in /jobs:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.get('/jobs/:id', async (req, res) => {
+    try {
+      const job = await jobQueue.get(req.params.id);
+      if (!job) return res.status(404).json({ success: false, error: 'Job not found' });
+      res.json({ success: true, job });
+    } catch (error) {
+      console.error('Error in /jobs/:id:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Server-Sent Events stream of a job's progress. Reconnecting clients send
+  // Last-Event-ID and get the events they missed replayed first.
+  router.get('/jobs/:id/events', async (req, res) => {
+    let job;
+    try {
+      job = await jobQueue.get(req.params.id);
+    } catch (error) {
+      console.error('Error in /jobs/:id/events:', error);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+    if (!job) return res.status(404).json({ success: false, error: 'Job not found' });
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = (event) => {
+      if (event.id) res.write(`id: ${event.id}\n`);
+      res.write(`event: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+      // compression() buffers writes until flushed
+      if (res.flush) res.flush();
+    };
+
+    // Snapshot first, so the client knows where the job stands
+    send({ type: 'snapshot', data: job });
+    if (jobQueue.FINAL_STATUSES.includes(job.status)) return res.end();
+
+    let heartbeat;
+    let unsubscribe = () => {};
+    let closed = false;
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      unsubscribe();
+      res.end();
+    };
+
+    unsubscribe = jobQueue.subscribe(job.id, (event) => {
+      send(event);
+      if (event.type === 'status' && jobQueue.FINAL_STATUSES.includes(event.data.status)) close();
+    }, parseInt(req.get('Last-Event-ID')) || 0);
+
+    // The replay alone may already have ended the job
+    if (closed) return unsubscribe();
+
+    heartbeat = setInterval(() => {
+      res.write(': ping\n\n');
+      if (res.flush) res.flush();
+    }, 15000);
+    req.on('close', close);
+  });
+
+  router.delete('/jobs/:id', async (req, res) => {
+    try {
+      const job = await jobQueue.cancel(req.params.id);
+      if (!job) return res.status(404).json({ success: false, error: 'Job not found' });
+      res.json({ success: true, job });
+    } catch (error) {
+      console.error('Error cancelling job:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createJobsRouter };
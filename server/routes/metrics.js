@@ -0,0 +1,30 @@
+// Prometheus metrics route: GET /metrics (see ../metrics.js)
+//
+// Needs a crawler or admin key (../auth.js), checked on the route itself as
+// well as by ROUTE_ROLES; point Prometheus' scrape config at it with
+// `authorization: { credentials: <key> }`.
+
+const express = require('express');
+const { register } = require('../metrics');
+
+/**
+ * @param {object} deps
+ * @param {object} deps.auth - from createAuth
+ */
+const createMetricsRouter = ({ auth }) => {
+  const router = express.Router();
+
+  router.get('/metrics', auth.requireRole('crawler'), async (req, res) => {
+    try {
+      res.set('Content-Type', register.contentType);
+      res.send(await register.metrics());
+    } catch (err) {
+      console.error('Error in /metrics:', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createMetricsRouter };
@@ -0,0 +1,399 @@
+// OPDS catalog for e-reader apps
+//
+//   GET /opds                        root navigation feed
+//   GET /opds/search.xml             OpenSearch description
+//   GET /opds/latest?page=           latest updates (/doujin)
+//   GET /opds/search?q=&page=        search results (/search)
+//   GET /opds/series?url=<slug>      a series and its chapters
+//   GET /opds/chapter?url=<slug>     one chapter, fetched if needed
+//   GET /opds/page?url=<slug>&page=  OPDS-PSE page stream (0-based page)
+//
+// Chapters are read through OPDS-PSE page streaming, which needs the page
+// count up front. Chapters that were never fetched link to /opds/chapter,
+// which fetches them the way /get-comic does and then has the count. When the
+// export routes are mounted, every chapter can also be downloaded as CBZ or PDF.
+//
+// The same feeds are served as OPDS 2.0 under /opds/v2 (/opds/v2,
+// /opds/v2/latest, /opds/v2/search?query=, /opds/v2/series, /opds/v2/chapter).
+// There chapters link to a Divina manifest that lists their pages instead:
+//
+//   GET /opds/v2/manifest?url=<slug>  Divina manifest, fetched if needed
+
+const express = require('express');
+const { sourceKey, chapterSlug, DEFAULT_SOURCE } = require('../sources');
+const { getComicsFromDB } = require('../db');
+const { contentTypeFor } = require('../storage');
+const {
+  NAVIGATION,
+  ACQUISITION,
+  ENTRY,
+  OPENSEARCH,
+  OPDS2,
+  DIVINA,
+  REL,
+  buildOpdsFeed,
+  buildOpds2Feed,
+  buildDivinaManifest,
+  buildOpenSearch
+} = require('../opds');
+const { resolveSource } = require('./util');
+
+// Search results link to the full series URL; the catalog wants the slug
+const seriesSlug = (link) => {
+  try {
+    return new URL(link).pathname.split('/').filter(Boolean).pop();
+  } catch (e) {
+    return link;
+  }
+};
+
+const readablePages = (pages) => (pages || []).filter(page => page.url);
+
+// Stored pages keep the extension of their decoded format
+const pageType = (page) => {
+  try {
+    return contentTypeFor(new URL(page.url).pathname);
+  } catch (e) {
+    return contentTypeFor(page.url);
+  }
+};
+
+// The OPDS-PSE stream link has one type for all pages; chapters are stored
+// in a single format, so the first page's stands for the rest
+const streamInfo = (pages) => {
+  const readable = readablePages(pages);
+  return { count: readable.length, type: readable.length > 0 ? pageType(readable[0]) : 'image/jpeg' };
+};
+
+const isV2 = (req) => req.path === '/opds/v2' || req.path.startsWith('/opds/v2/');
+
+// The v2 twin of a v1 catalog path; page streams and exports are shared
+const V2_PATHS = ['/opds', '/opds/latest', '/opds/search', '/opds/series', '/opds/chapter'];
+const toV2Path = (path) => V2_PATHS.includes(path) ? path.replace(/^\/opds/, '/opds/v2') : path;
+
+/**
+ * @param {object} deps
+ * @param {object} deps.scrapers - from createScrapers
+ * @param {object} deps.cache - from createCache
+ * @param {object} deps.series - from createSeriesService
+ * @param {object} deps.comics - from createComicService
+ * @param {boolean} deps.exports - whether the /export routes are mounted
+ */
+const createOpdsRouter = ({ scrapers, cache, series, comics, exports }) => {
+  const router = express.Router();
+
+  // Absolute URL on this server, keeping ?source= for non-default sources.
+  // Catalog links in a v2 feed stay in v2.
+  const urlFor = (req, source, path, params = {}) => {
+    const url = new URL(isV2(req) ? toV2Path(path) : path, `${req.protocol}://${req.get('host')}`);
+    if (source.name !== DEFAULT_SOURCE) url.searchParams.set('source', source.name);
+    Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+    // Clients fill in {pageNumber} (OPDS-PSE) and {searchTerms} (OpenSearch)
+    return url.href.replace(/%7B(\w+)%7D/g, '{$1}');
+  };
+
+  const selfUrl = (req) => `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+
+  const send = (res, kind, xml) => {
+    res.set('Content-Type', `${kind}; charset=utf-8`);
+    res.send(xml);
+  };
+
+  // Answers with the feed in the version the request asked for
+  const sendFeed = (req, res, feed) => {
+    if (isV2(req)) {
+      res.set('Content-Type', `${OPDS2}; charset=utf-8`);
+      return res.send(JSON.stringify(buildOpds2Feed(feed)));
+    }
+    send(res, feed.kind, buildOpdsFeed(feed));
+  };
+
+  // OPDS 2.0 has no OpenSearch description; its search link is a URI
+  // template
+  const searchLink = (req, source) => {
+    if (!isV2(req)) return { rel: 'search', href: urlFor(req, source, '/opds/search.xml'), type: OPENSEARCH };
+    const base = urlFor(req, source, '/opds/search');
+    return { rel: 'search', href: `${base}${base.includes('?') ? '{&query}' : '{?query}'}`, type: NAVIGATION };
+  };
+
+  const startLinks = (req, source) => [
+    { rel: 'start', href: urlFor(req, source, '/opds'), type: NAVIGATION },
+    searchLink(req, source)
+  ];
+
+  const pageLinks = (req, source, path, params, page, totalPages) => [
+    page > 1 && { rel: 'previous', href: urlFor(req, source, path, { ...params, page: page - 1 }), type: NAVIGATION },
+    page < totalPages && { rel: 'next', href: urlFor(req, source, path, { ...params, page: page + 1 }), type: NAVIGATION }
+  ].filter(Boolean);
+
+  const seriesEntry = (req, source, { slug, title, thumbnail, content }) => ({
+    id: source.detailUrl(slug),
+    title,
+    content,
+    links: [
+      { rel: 'subsection', href: urlFor(req, source, '/opds/series', { url: slug }), type: ACQUISITION },
+      thumbnail && { rel: REL.thumbnail, href: thumbnail, type: 'image/jpeg' },
+      thumbnail && { rel: REL.image, href: thumbnail, type: 'image/jpeg' }
+    ].filter(Boolean)
+  });
+
+  // With the stored pages ({ count, type }) the entry can be read right
+  // away; without them it points at /opds/chapter, which works them out. In
+  // v2 the manifest does that, so it is always linked.
+  const chapterEntry = (req, source, chapter, stream, seriesSlug) => {
+    const slug = chapterSlug(source, chapter.chapterLink);
+    let links;
+    if (isV2(req)) {
+      links = [{ rel: REL.acquisition, href: urlFor(req, source, '/opds/v2/manifest', { url: slug }), type: DIVINA }];
+    } else if (stream === undefined) {
+      links = [{ rel: 'alternate', href: urlFor(req, source, '/opds/chapter', { url: slug }), type: ENTRY }];
+    } else {
+      links = [{
+        rel: REL.stream,
+        href: urlFor(req, source, '/opds/page', { url: slug, page: '{pageNumber}' }),
+        type: stream.type,
+        count: stream.count
+      }];
+    }
+
+    if (exports) {
+      const params = seriesSlug ? { url: slug, series: seriesSlug } : { url: slug };
+      links.push(
+        { rel: REL.acquisition, href: urlFor(req, source, '/export/chapter.cbz', params), type: 'application/vnd.comicbook+zip' },
+        { rel: REL.acquisition, href: urlFor(req, source, '/export/chapter.pdf', params), type: 'application/pdf' }
+      );
+    }
+
+    return {
+      id: new URL(chapter.chapterLink, source.baseUrl).href,
+      title: chapter.chapterTitle || chapter.chapterName || slug,
+      content: [chapter.chapterName, chapter.chapterDate].filter(Boolean).join(' · '),
+      links
+    };
+  };
+
+  router.get(['/opds', '/opds/v2'], (req, res) => {
+    const source = resolveSource(req, res);
+    if (!source) return;
+
+    sendFeed(req, res, {
+      id: `${source.baseUrl}#opds`,
+      title: source.label,
+      kind: NAVIGATION,
+      self: selfUrl(req),
+      links: startLinks(req, source),
+      entries: [{
+        id: `${source.baseUrl}#opds-latest`,
+        title: 'Latest updates',
+        content: `Recently updated on ${source.label}`,
+        links: [{ rel: 'subsection', href: urlFor(req, source, '/opds/latest'), type: NAVIGATION }]
+      }]
+    });
+  });
+
+  router.get('/opds/search.xml', (req, res) => {
+    const source = resolveSource(req, res);
+    if (!source) return;
+
+    send(res, OPENSEARCH, buildOpenSearch({
+      title: source.label,
+      template: urlFor(req, source, '/opds/search', { q: '{searchTerms}' })
+    }));
+  });
+
+  router.get(['/opds/latest', '/opds/v2/latest'], async (req, res) => {
+    const source = resolveSource(req, res);
+    if (!source) return;
+
+    const pageNumber = parseInt(req.query.page) || 1;
+
+    try {
+      // Same cache entry as /doujin
+      const cacheKey = `doujin_page_${source.name}_${pageNumber}`;
+      const { value: listing } = await cache.wrap(cacheKey, cache.policies.list, async () => {
+        const { results, totalPages } = await scrapers.list(source, pageNumber);
+        return { results, totalPages };
+      });
+
+      sendFeed(req, res, {
+        id: `${source.baseUrl}#opds-latest-${pageNumber}`,
+        title: `${source.label} - Latest updates`,
+        kind: NAVIGATION,
+        self: selfUrl(req),
+        links: [
+          ...startLinks(req, source),
+          ...pageLinks(req, source, '/opds/latest', {}, pageNumber, listing.totalPages)
+        ],
+        entries: listing.results
+          .filter(item => item.link)
+          .map(item => seriesEntry(req, source, {
+            slug: item.link,
+            title: item.title,
+            thumbnail: item.thumbnail,
+            content: [item.type, item.chapter, item.time].filter(Boolean).join(' · ')
+          }))
+      });
+    } catch (err) {
+      console.error('Error in /opds/latest:', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.get(['/opds/search', '/opds/v2/search'], async (req, res) => {
+    const source = resolveSource(req, res);
+    if (!source) return;
+
+    const query = req.query.q || req.query.query; // `query` is the OPDS 2.0 name
+    const pageNumber = parseInt(req.query.page) || 1;
+    if (!query) return res.status(400).json({ error: 'Query required' });
+
+    try {
+      // Same cache entry as /search
+      const cacheKey = `search-${source.name}-${query}-${pageNumber}`;
+      const { value: found } = await cache.wrap(cacheKey, cache.policies.search, async () => {
+        const { results, totalPages } = await scrapers.search(source, query, pageNumber);
+        return { success: true, page: pageNumber, totalPages, results };
+      });
+      const { results, totalPages } = found;
+
+      sendFeed(req, res, {
+        id: `${source.baseUrl}#opds-search-${encodeURIComponent(query)}-${pageNumber}`,
+        title: `Search: ${query}`,
+        kind: NAVIGATION,
+        self: selfUrl(req),
+        links: [
+          ...startLinks(req, source),
+          ...pageLinks(req, source, '/opds/search', { q: query }, pageNumber, totalPages)
+        ],
+        entries: results
+          .filter(item => item.link)
+          .map(item => seriesEntry(req, source, {
+            slug: seriesSlug(item.link),
+            title: item.title,
+            thumbnail: item.thumbnail,
+            content: [item.status, item.score !== 'N/A' && `Score ${item.score}`].filter(Boolean).join(' · ')
+          }))
+      });
+    } catch (err) {
+      console.error('Error in /opds/search:', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.get(['/opds/series', '/opds/v2/series'], async (req, res) => {
+    const source = resolveSource(req, res);
+    if (!source) return;
+
+    const slug = req.query.url;
+    if (!slug) return res.status(400).json({ error: 'Parameter url wajib' });
+
+    try {
+      const { detail } = await series.getDetail(source, slug);
+      const chapters = detail.chapters.filter(chapter => chapter.chapterLink);
+
+      // Page counts and types of the chapters already stored, in one query
+      const keys = chapters.map(chapter => sourceKey(source, chapterSlug(source, chapter.chapterLink)));
+      const stored = await getComicsFromDB(keys);
+      const streams = keys.map(key => stored.has(key) ? streamInfo(stored.get(key)) : undefined);
+
+      sendFeed(req, res, {
+        id: source.detailUrl(slug),
+        title: detail.title || slug,
+        kind: ACQUISITION,
+        self: selfUrl(req),
+        links: [
+          ...startLinks(req, source),
+          detail.thumbnail && { rel: REL.thumbnail, href: detail.thumbnail, type: 'image/jpeg' }
+        ].filter(Boolean),
+        entries: chapters.map((chapter, i) => ({
+          ...chapterEntry(req, source, chapter, streams[i], slug),
+          categories: detail.genres
+        }))
+      });
+    } catch (err) {
+      console.error('Error in /opds/series:', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.get(['/opds/chapter', '/opds/v2/chapter'], async (req, res) => {
+    const source = resolveSource(req, res);
+    if (!source) return;
+
+    const slug = req.query.url?.replace(/^\//, '').replace(/\/$/, '');
+    if (!slug) return res.status(400).json({ error: 'Parameter url/slug wajib' });
+
+    try {
+      const comic = await comics.getComic(source, slug);
+      if (!comic) return res.status(404).json({ error: 'Comic not found' });
+
+      const entry = chapterEntry(req, source, { chapterLink: slug }, streamInfo(comic.images));
+      sendFeed(req, res, {
+        id: entry.id,
+        title: entry.title,
+        kind: ACQUISITION,
+        self: selfUrl(req),
+        links: startLinks(req, source),
+        entries: [entry]
+      });
+    } catch (err) {
+      console.error('Error in /opds/chapter:', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.get('/opds/v2/manifest', async (req, res) => {
+    const source = resolveSource(req, res);
+    if (!source) return;
+
+    const slug = req.query.url?.replace(/^\//, '').replace(/\/$/, '');
+    if (!slug) return res.status(400).json({ error: 'Parameter url/slug wajib' });
+
+    try {
+      const comic = await comics.getComic(source, slug);
+      if (!comic) return res.status(404).json({ error: 'Comic not found' });
+
+      res.set('Content-Type', `${DIVINA}; charset=utf-8`);
+      res.send(JSON.stringify(buildDivinaManifest({
+        id: new URL(slug, source.baseUrl).href,
+        title: slug,
+        self: selfUrl(req),
+        pages: readablePages(comic.images).map(page => ({
+          href: page.url,
+          type: pageType(page),
+          width: page.width,
+          height: page.height
+        }))
+      })));
+    } catch (err) {
+      console.error('Error in /opds/v2/manifest:', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.get('/opds/page', async (req, res) => {
+    const source = resolveSource(req, res);
+    if (!source) return;
+
+    const slug = req.query.url?.replace(/^\//, '').replace(/\/$/, '');
+    const pageIndex = parseInt(req.query.page);
+    if (!slug || isNaN(pageIndex)) {
+      return res.status(400).json({ error: 'Parameter url dan page wajib' });
+    }
+
+    try {
+      const comic = await comics.getComic(source, slug);
+      const page = comic && readablePages(comic.images)[pageIndex];
+      if (!page) return res.status(404).json({ error: 'Page not found' });
+
+      res.redirect(page.url);
+    } catch (err) {
+      console.error('Error in /opds/page:', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createOpdsRouter };
@@ -0,0 +1,132 @@
+// Tracking routes: follow series and list the new chapters the watcher found
+//
+//   POST   /track?url=<slug>[&prefetch=1]  start following a series
+//   DELETE /track?url=<slug>               stop following it
+//   GET    /tracked                        followed series
+//   POST   /tracked/check                  check them all right now
+//   GET    /updates[?since=&url=&limit=]   newly found chapters, newest first
+
+const express = require('express');
+const { sourceKey } = require('../sources');
+const { setSeriesTracked, getTrackedSeries, getChapterUpdates } = require('../db');
+const { resolveSource } = require('./util');
+
+const toUpdate = (row) => ({
+  series: row.series_slug,
+  seriesTitle: row.series_title,
+  thumbnail: row.thumbnail,
+  source: row.source,
+  chapterTitle: row.title,
+  chapterLink: row.link,
+  chapterName: row.name,
+  foundAt: new Date(row.found_at).toISOString(),
+  prefetchedAt: row.prefetched_at ? new Date(row.prefetched_at).toISOString() : null,
+  prefetchError: row.prefetch_error || null
+});
+
+/**
+ * @param {object} deps
+ * @param {object} deps.series - from createSeriesService
+ * @param {object} deps.watcher - from createWatcher
+ */
+const createTrackingRouter = ({ series, watcher }) => {
+  const router = express.Router();
+
+  router.post('/track', async (req, res) => {
+    const source = resolveSource(req, res);
+    if (!source) return;
+
+    const url = req.query.url;
+    if (!url) return res.status(400).json({ error: 'Parameter url wajib' });
+
+    try {
+      // Makes sure the series and its current chapters are stored, so only
+      // chapters added from now on count as new
+      const { detail } = await series.getDetail(source, url);
+      const prefetch = ['1', 'true'].includes(req.query.prefetch);
+      // Not there when saving the scraped series failed
+      const found = await setSeriesTracked(sourceKey(source, url), true, { prefetch });
+      if (!found) return res.status(404).json({ error: 'Series not found' });
+
+      res.json({
+        success: true,
+        slug: url,
+        title: detail.title,
+        chapters: detail.chapters.length,
+        prefetch
+      });
+    } catch (err) {
+      console.error('Error in /track:', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.delete('/track', async (req, res) => {
+    const source = resolveSource(req, res);
+    if (!source) return;
+
+    const url = req.query.url;
+    if (!url) return res.status(400).json({ error: 'Parameter url wajib' });
+
+    try {
+      const found = await setSeriesTracked(sourceKey(source, url), false);
+      if (!found) return res.status(404).json({ error: 'Series not found' });
+      res.json({ success: true, slug: url });
+    } catch (err) {
+      console.error('Error in DELETE /track:', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.get('/tracked', async (req, res) => {
+    try {
+      const rows = await getTrackedSeries();
+      res.json({
+        success: true,
+        series: rows.map(row => ({
+          slug: row.slug,
+          source: row.source,
+          title: row.title,
+          thumbnail: row.thumbnail,
+          prefetch: Boolean(row.prefetch),
+          trackedAt: new Date(row.tracked_at).toISOString(),
+          lastCheckedAt: row.last_checked_at ? new Date(row.last_checked_at).toISOString() : null
+        }))
+      });
+    } catch (err) {
+      console.error('Error in /tracked:', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.post('/tracked/check', async (req, res) => {
+    const summary = await watcher.check();
+    if (!summary) return res.status(409).json({ error: 'A check is already running' });
+    res.json({ success: true, ...summary });
+  });
+
+  router.get('/updates', async (req, res) => {
+    const since = req.query.since ? new Date(req.query.since) : undefined;
+    if (since && isNaN(since)) return res.status(400).json({ error: 'Invalid since date' });
+
+    let seriesSlug;
+    if (req.query.url) {
+      const source = resolveSource(req, res);
+      if (!source) return;
+      seriesSlug = sourceKey(source, req.query.url);
+    }
+
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const rows = await getChapterUpdates({ since, seriesSlug, limit });
+      res.json({ success: true, updates: rows.map(toUpdate) });
+    } catch (err) {
+      console.error('Error in /updates:', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createTrackingRouter };
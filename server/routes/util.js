@@ -0,0 +1,14 @@
+// Helpers shared by the route modules
+
+const { getSource } = require('../sources');
+
+// Picks the adapter named by ?source=, answering 400 itself when it is unknown
+const resolveSource = (req, res) => {
+  const source = getSource(req.query.source);
+  if (!source) {
+    res.status(400).json({ error: `Unknown source: ${req.query.source}` });
+  }
+  return source;
+};
+
+module.exports = { resolveSource };
@@ -0,0 +1,182 @@
+// Guarded fetching of URLs that come from clients (/proxy, /get)
+//
+// A URL is only fetched when
+//   - it is http(s) on a host the source serves images from (its
+//     `imageHosts`, subdomains included) or one listed in IMAGE_HOSTS
+//     (comma separated),
+//   - none of the addresses its host resolves to is private, loopback or
+//     link-local, IPv6 prefixes that lead to IPv4 (NAT64, 6to4) included; the
+//     check runs again on every connection fetchImage opens, so DNS answers
+//     that change between check and fetch are caught too,
+//   - every redirect passes the same checks,
+//   - the body is at most MAX_IMAGE_BYTES (default 20 MB) and its first bytes
+//     are those of an image; the content-type header is not trusted.
+//
+// Failures reject with an Error carrying the HTTP status to answer with.
+
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const { fetch } = require('./http');
+const { sniffImageType } = require('./imageInfo');
+
+const EXTRA_HOSTS = (process.env.IMAGE_HOSTS || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+const MAX_IMAGE_BYTES = parseInt(process.env.MAX_IMAGE_BYTES) || 20 * 1024 * 1024;
+const MAX_REDIRECTS = 3;
+
+const blocked = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => blocked.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+  // Translated to an IPv4 address that could be any of the above
+  ['64:ff9b::', 96], ['2002::', 16]
+].forEach(([network, prefix]) => blocked.addSubnet(network, prefix, 'ipv6'));
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+const isPrivateAddress = (address) => {
+  const family = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+  // IPv4 written as IPv6 (::ffff:10.0.0.1) is checked as IPv4
+  const mapped = family === 'ipv6' && address.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return blocked.check(mapped[1], 'ipv4');
+  return blocked.check(address, family);
+};
+
+const hostMatches = (hostname, host) => hostname === host || hostname.endsWith(`.${host}`);
+
+const isAllowedHost = (source, hostname) => {
+  const hosts = [...(source.imageHosts || [new URL(source.baseUrl).hostname]), ...EXTRA_HOSTS];
+  return hosts.some(host => hostMatches(hostname.toLowerCase(), host.replace(/^www\./, '')));
+};
+
+// dns.lookup that refuses private addresses, used for every connection the
+// guarded agents open
+const safeLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const bad = addresses.find(({ address }) => isPrivateAddress(address));
+    if (bad) return callback(httpError(403, `${hostname} resolves to a private address`));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const agents = {
+  'http:': new http.Agent({ lookup: safeLookup }),
+  'https:': new https.Agent({ lookup: safeLookup })
+};
+
+/**
+ * Checks a client supplied URL against the allowlist and resolves its host.
+ * @param {string} rawUrl
+ * @param {object} source - source adapter the URL belongs to
+ * @returns {Promise<URL>} the parsed URL
+ */
+const checkUrl = async (rawUrl, source) => {
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch (e) {
+    throw httpError(400, 'URL tidak valid');
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) throw httpError(400, 'Only http and https URLs are allowed');
+  if (!isAllowedHost(source, url.hostname)) throw httpError(403, `Host not allowed: ${url.hostname}`);
+
+  // IPv6 literals come bracketed ([::1]) in URLs but not in lookups
+  const addresses = await dns.promises.lookup(url.hostname.replace(/^\[(.*)\]$/, '$1'), { all: true })
+    .catch(() => { throw httpError(400, `Cannot resolve ${url.hostname}`); });
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw httpError(403, `${url.hostname} resolves to a private address`);
+  }
+  return url;
+};
+
+// Reads a response body, giving up once it grows past `max` bytes
+const readLimited = async (response, max) => {
+  const length = parseInt(response.headers.get('content-length'));
+  if (length > max) throw httpError(413, `Image too large (${length} bytes)`);
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > max) {
+      response.body.destroy?.();
+      throw httpError(413, `Image larger than ${max} bytes`);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Checks that a buffer fetched some other way is an image within the size cap.
+ * @param {Buffer} buffer
+ * @returns {string} its content type, from the magic bytes
+ */
+const checkImageBuffer = (buffer) => {
+  if (buffer.length > MAX_IMAGE_BYTES) throw httpError(413, `Image larger than ${MAX_IMAGE_BYTES} bytes`);
+  const contentType = sniffImageType(buffer);
+  if (!contentType) throw httpError(415, 'URL tidak merujuk ke gambar yang valid');
+  return contentType;
+};
+
+/**
+ * Fetches an image from a client supplied URL.
+ * @param {string} rawUrl
+ * @param {object} source - source adapter; its Referer and User-Agent are sent
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @param {object} [options.headers] - extra request headers, e.g. the
+ *   client's If-None-Match / If-Modified-Since
+ * @returns {Promise<{buffer: Buffer, contentType: string, etag: string|null,
+ *   lastModified: string|null}|{notModified: true, etag: string|null,
+ *   lastModified: string|null}>} the second shape when the host answered 304
+ */
+const fetchImage = async (rawUrl, source, { signal, headers = {} } = {}) => {
+  let url = await checkUrl(rawUrl, source);
+
+  for (let redirects = 0; ; redirects++) {
+    const response = await fetch(url.href, {
+      headers: {
+        ...headers,
+        'Referer': source.baseUrl,
+        'User-Agent': source.headers['User-Agent']
+      },
+      agent: parsed => agents[parsed.protocol],
+      redirect: 'manual',
+      signal
+    });
+
+    if (response.status >= 300 && response.status < 400 && response.headers.get('location')) {
+      if (redirects >= MAX_REDIRECTS) throw httpError(502, 'Too many redirects');
+      url = await checkUrl(new URL(response.headers.get('location'), url).href, source);
+      continue;
+    }
+
+    const validators = {
+      etag: response.headers.get('etag'),
+      lastModified: response.headers.get('last-modified')
+    };
+    if (response.status === 304) return { notModified: true, ...validators };
+
+    if (!response.ok) {
+      throw httpError(502, `Gambar tidak ditemukan (Status: ${response.status})`);
+    }
+
+    const buffer = await readLimited(response, MAX_IMAGE_BYTES);
+    return { buffer, contentType: checkImageBuffer(buffer), ...validators };
+  }
+};
+
+module.exports = { checkUrl, checkImageBuffer, fetchImage, isPrivateAddress };
@@ -0,0 +1,55 @@
+// Scrapers: run a source adapter against a pooled browser page
+//
+// The last MAX_FAILURES scrapes that threw are kept for /admin/stats, and
+// every scrape is timed for /metrics.
+
+const { scrapeDuration } = require('./metrics');
+
+const MAX_FAILURES = 50;
+
+/**
+ * @param {object} pool - browser pool from createBrowserPool
+ */
+const createScrapers = (pool) => {
+  const failures = []; // newest first
+
+  // Runs one scrape, remembering it when it fails
+  const scrape = async (kind, source, target, fn, options) => {
+    const end = scrapeDuration.startTimer({ kind, source: source.name });
+    try {
+      const result = await pool.withPage(source, fn, options);
+      end({ outcome: 'ok' });
+      return result;
+    } catch (err) {
+      end({ outcome: 'error' });
+      failures.unshift({
+        kind,
+        source: source.name,
+        target: String(target),
+        error: err.message,
+        at: new Date().toISOString()
+      });
+      failures.length = Math.min(failures.length, MAX_FAILURES);
+      throw err;
+    }
+  };
+
+  return {
+    list: (source, pageNumber) =>
+      scrape('list', source, pageNumber, page => source.list(page, pageNumber)),
+
+    search: (source, query, pageNumber) =>
+      scrape('search', source, query, page => source.search(page, query, pageNumber)),
+
+    detail: (source, slug) =>
+      scrape('detail', source, slug, page => source.detail(page, slug)),
+
+    // Chapter pages need their images loaded, so nothing is intercepted
+    chapterImages: (source, slug) =>
+      scrape('chapter', source, slug, page => source.chapterImages(page, slug), { interceptRequests: false }),
+
+    failures: () => failures.slice()
+  };
+};
+
+module.exports = { createScrapers };
@@ -0,0 +1,93 @@
+// Series detail: served from the database when we have it, otherwise scraped
+// from the source and saved for next time.
+//
+// Staleness policy, in seconds:
+//   DETAIL_STALE_AFTER  - older rows are still served, but a refresh is
+//                         started in the background (default 6 hours)
+//   DETAIL_EXPIRE_AFTER - older rows are scraped again before answering; the
+//                         old row is only served if that scrape fails
+//                         (default 7 days)
+
+const { sourceKey } = require('./sources');
+const { getSeriesFromDB, saveSeriesToDB } = require('./db');
+
+const STALE_AFTER = (parseInt(process.env.DETAIL_STALE_AFTER) || 6 * 60 * 60) * 1000;
+const EXPIRE_AFTER = (parseInt(process.env.DETAIL_EXPIRE_AFTER) || 7 * 24 * 60 * 60) * 1000;
+
+/**
+ * @param {object} options
+ * @param {object} options.scrapers - from createScrapers
+ */
+const createSeriesService = ({ scrapers }) => {
+  const refreshing = new Set(); // series keys with a background refresh running
+
+  // Scrapes and saves a series. Resolves to { detail, newChapters }, where
+  // newChapters are the ones the stored chapter list did not have yet.
+  const refresh = async (source, slug) => {
+    const seriesKey = sourceKey(source, slug);
+    const detail = await scrapers.detail(source, slug);
+    const newChapters = await saveSeriesToDB(seriesKey, source.name, source.detailUrl(slug), detail)
+      .catch(err => {
+        console.error(`Failed to save series ${seriesKey}:`, err);
+        return [];
+      });
+    return { detail, newChapters };
+  };
+
+  const refreshInBackground = (source, slug, seriesKey) => {
+    if (refreshing.has(seriesKey)) return;
+    refreshing.add(seriesKey);
+
+    refresh(source, slug)
+      .then(() => console.log(`🔄 Refreshed series ${seriesKey}`))
+      .catch(err => console.error(`Background refresh of ${seriesKey} failed:`, err.message))
+      .finally(() => refreshing.delete(seriesKey));
+  };
+
+  // Resolves to the /detail response body
+  const getDetail = async (source, slug) => {
+    const seriesKey = sourceKey(source, slug);
+
+    const stored = await getSeriesFromDB(seriesKey)
+      .catch(err => {
+        console.error('Database error:', err);
+        return null;
+      });
+    const age = stored ? Date.now() - stored.scrapedAt.getTime() : Infinity;
+
+    // 1. Fresh enough, or stale but not expired: answer from the database
+    if (age < EXPIRE_AFTER) {
+      const stale = age >= STALE_AFTER;
+      if (stale) refreshInBackground(source, slug, seriesKey);
+      return {
+        success: true,
+        detail: stored.detail,
+        cached: true,
+        source: 'database',
+        scrapedAt: stored.scrapedAt.toISOString(),
+        stale
+      };
+    }
+
+    // 2. Missing or expired: scrape now
+    try {
+      const { detail } = await refresh(source, slug);
+      return { success: true, detail, cached: false };
+    } catch (err) {
+      if (!stored) throw err;
+      console.error(`Scrape of ${seriesKey} failed, serving expired copy:`, err.message);
+      return {
+        success: true,
+        detail: stored.detail,
+        cached: true,
+        source: 'database (expired)',
+        scrapedAt: stored.scrapedAt.toISOString(),
+        stale: true
+      };
+    }
+  };
+
+  return { getDetail, refresh };
+};
+
+module.exports = { createSeriesService };
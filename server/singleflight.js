@@ -0,0 +1,25 @@
+// Request coalescing: while a call for a key is running, later calls for the
+// same key wait for its result instead of doing the work again.
+
+/**
+ * @returns {{run: function(string, function(): Promise<*>): Promise<*>, size: function(): number}}
+ */
+const createSingleflight = () => {
+  const inFlight = new Map(); // key -> promise of the running call
+
+  // Every caller gets the same result or the same error; the key is free
+  // again as soon as the call settles, so failures are not remembered
+  const run = (key, fn) => {
+    if (inFlight.has(key)) return inFlight.get(key);
+
+    const promise = Promise.resolve()
+      .then(fn)
+      .finally(() => inFlight.delete(key));
+    inFlight.set(key, promise);
+    return promise;
+  };
+
+  return { run, size: () => inFlight.size };
+};
+
+module.exports = { createSingleflight };
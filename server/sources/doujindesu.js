@@ -0,0 +1,135 @@
+// Source adapter for doujindesu.tv
+// Every selector the server knows about this site lives here. Each method gets
+// a fresh Puppeteer page from the route and returns plain data.
+
+const baseUrl = 'https://doujindesu.tv/';
+const DEFAULT_TIMEOUT = 10000;
+
+// Largest page number linked from the pagination bar
+const scrapeTotalPages = (page) => page.$$eval('nav.pagination ul li a strong', els => {
+  let max = 1;
+  els.forEach(el => {
+    const num = parseInt(el.textContent);
+    if (!isNaN(num) && num > max) max = num;
+  });
+  return max;
+});
+
+module.exports = {
+  name: 'doujindesu',
+  label: 'DoujinDesu',
+  language: 'id',
+  baseUrl,
+  imageHosts: ['doujindesu.tv'],
+  headers: {
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    'Referer': baseUrl,
+    'Accept-Language': 'en-US,en;q=0.9'
+  },
+
+  listUrl: (pageNumber) => `${baseUrl}doujin/page/${pageNumber}/`,
+
+  isValidListUrl: (url) => /^(https?:\/\/)?(www\.)?doujindesu\.tv\/doujin\/page\/\d+\/$/.test(url),
+
+  searchUrl: (query, pageNumber) => `${baseUrl}page/${pageNumber}/?s=${encodeURIComponent(query)}`,
+
+  detailUrl: (slug) => slug.startsWith('http') ? slug : `${baseUrl}manga/${slug}`,
+
+  chapterUrl: (slug) => `${baseUrl}${slug}/`,
+
+  async list(page, pageNumber) {
+    await page.goto(this.listUrl(pageNumber), {
+      waitUntil: 'domcontentloaded',
+      timeout: DEFAULT_TIMEOUT
+    });
+
+    await page.waitForSelector('.entries', { timeout: DEFAULT_TIMEOUT });
+
+    const results = await page.evaluate(() => {
+      return Array.from(document.querySelectorAll('article.entry')).map(entry => {
+        const anchor = entry.querySelector('a');
+        const href = anchor?.getAttribute('href') || '';
+        const slug = href.replace('/manga/', '').replace(/^\/|\/$/g, '');
+
+        return {
+          title: entry.querySelector('h3.title span')?.innerText.trim(),
+          thumbnail: entry.querySelector('img')?.src,
+          type: entry.querySelector('.type')?.innerText.trim(),
+          chapter: entry.querySelector('.artists a span')?.innerText.trim(),
+          time: entry.querySelector('.dtch')?.innerText.trim(),
+          link: slug || null
+        };
+      });
+    });
+
+    return { results, totalPages: await scrapeTotalPages(page) };
+  },
+
+  async search(page, query, pageNumber) {
+    await page.goto(this.searchUrl(query, pageNumber), {
+      waitUntil: 'domcontentloaded',
+      timeout: DEFAULT_TIMEOUT
+    });
+
+    const results = await page.$$eval('.entries article', articles =>
+      articles.map(article => ({
+        title: article.querySelector('.metadata .title span')?.textContent.trim() || "No title",
+        link: article.querySelector('a')?.href,
+        thumbnail: article.querySelector('img')?.src,
+        score: article.querySelector('.metadata .score')?.textContent.trim() || "N/A",
+        status: article.querySelector('.metadata .status')?.textContent.trim() || "Unknown"
+      }))
+    );
+
+    return { results, totalPages: await scrapeTotalPages(page) };
+  },
+
+  async detail(page, slug) {
+    await page.goto(this.detailUrl(slug), {
+      waitUntil: 'domcontentloaded',
+      timeout: DEFAULT_TIMEOUT
+    });
+
+    await page.waitForSelector('.bxcl', { timeout: DEFAULT_TIMEOUT });
+
+    const [chapters, detail] = await Promise.all([
+      page.evaluate(() => {
+        return Array.from(document.querySelectorAll('.bxcl ul li')).map(chapter => ({
+          chapterTitle: chapter.querySelector('.epsright .eps a')?.innerText.trim(),
+          chapterLink: chapter.querySelector('.epsright .eps a')?.getAttribute('href'),
+          chapterName: chapter.querySelector('.epsleft .lchx a')?.innerText.trim(),
+          chapterDate: chapter.querySelector('.epsleft .date')?.innerText.trim()
+        }));
+      }),
+      page.evaluate(() => ({
+        title: document.querySelector('h1.title')?.textContent,
+        thumbnail: document.querySelector('.thumbnail img')?.src,
+        rating: document.querySelector('.rating-prc')?.textContent,
+        genres: Array.from(document.querySelectorAll('.tags a')).map(t => t.textContent)
+      }))
+    ]);
+
+    return { ...detail, chapters };
+  },
+
+  // Resolves to null when the chapter page is a 404
+  async chapterImages(page, slug) {
+    const url = this.chapterUrl(slug);
+
+    await page.goto(url, {
+      waitUntil: 'domcontentloaded',
+      timeout: DEFAULT_TIMEOUT
+    });
+
+    const pageTitle = await page.title();
+    if (pageTitle.includes('404')) return null;
+
+    await page.waitForSelector('#anu img', { timeout: DEFAULT_TIMEOUT });
+
+    const images = await page.$$eval('#anu img', imgs =>
+      imgs.map(img => img.dataset.src || img.src).filter(src => src && src.startsWith('http'))
+    );
+
+    return { url, images };
+  }
+};
@@ -0,0 +1,51 @@
+// Source adapter registry
+//
+// An adapter describes one scraped site. It must expose:
+//   name, label, baseUrl, headers, language (ISO 639-1, used by the exports)
+//   imageHosts                      hosts /proxy and /get may fetch from
+//                                   (subdomains included); defaults to the
+//                                   host of baseUrl
+//   list(page, pageNumber)          -> { results, totalPages }
+//   search(page, query, pageNumber) -> { results, totalPages }
+//   detail(page, slug)              -> { title, thumbnail, rating, genres, chapters }
+//   chapterImages(page, slug)       -> { url, images } or null when not found
+// where `page` is a Puppeteer page prepared by the server (headers, interception).
+
+const doujindesu = require('./doujindesu');
+
+const sources = {
+  [doujindesu.name]: doujindesu
+};
+
+const DEFAULT_SOURCE = process.env.DEFAULT_SOURCE || doujindesu.name;
+
+// Own keys only, so ?source=constructor or __proto__ is just unknown
+const getSource = (name) => {
+  const key = name || DEFAULT_SOURCE;
+  return typeof key === 'string' && Object.hasOwn(sources, key) ? sources[key] : null;
+};
+
+const listSources = () => Object.values(sources).map(({ name, label, baseUrl }) => ({
+  name,
+  label,
+  baseUrl,
+  default: name === DEFAULT_SOURCE
+}));
+
+// Key used for DB rows and storage paths. The default source keeps bare slugs
+// so data scraped before adapters existed is still found.
+const sourceKey = (source, slug) =>
+  source.name === DEFAULT_SOURCE ? slug : `${source.name}:${slug}`;
+
+// Inverse of sourceKey, for rows that also store the source name
+const parseSourceKey = (key, sourceName = DEFAULT_SOURCE) => ({
+  source: getSource(sourceName),
+  slug: key.startsWith(`${sourceName}:`) ? key.slice(sourceName.length + 1) : key
+});
+
+// Chapter links are what the source page links to (relative or absolute);
+// /get-comic wants the bare chapter slug
+const chapterSlug = (source, link) =>
+  link.replace(source.baseUrl, '').replace(/^\//, '').replace(/\/$/, '');
+
+module.exports = { DEFAULT_SOURCE, getSource, listSources, sourceKey, parseSourceKey, chapterSlug };
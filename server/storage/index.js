@@ -0,0 +1,84 @@
+// Storage backends for uploaded images
+//
+// A driver implements:
+//   put(key, buffer, { contentType }) -> public URL
+//   get(key)                          -> Buffer, or null when missing
+//   exists(key)                       -> boolean
+//   delete(key)
+//   publicUrl(key)                    -> URL the stored object is served from
+// and may expose router() when the server itself has to serve the files.
+//
+// STORAGE_DRIVER picks the driver. Without it, `s3` is used when S3_BUCKET is
+// set and `local` otherwise, so a fresh checkout runs without credentials.
+// A deployment still set up for the old R2 upload (uploadToR2.js next to the
+// server, or R2_* variables) has to say which driver it wants: it refuses to
+// start rather than quietly writing to the local disk. For R2, set the S3_*
+// variables (see ./s3.js).
+
+const path = require('path');
+const { storageUploads, storageUploadBytes } = require('../metrics');
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif'
+};
+
+const contentTypeFor = (key) =>
+  CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+
+const hasLegacyR2Setup = () => {
+  if (Object.keys(process.env).some(name => name.startsWith('R2_'))) return true;
+  try {
+    require.resolve('../../uploadToR2.js');
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Loaded on demand so the S3 SDK is only needed when it is used
+const drivers = {
+  local: () => require('./local').createLocalStorage,
+  s3: () => require('./s3').createS3Storage
+};
+
+/**
+ * @param {object} options
+ * @param {number} options.port - where the server listens, for local URLs
+ */
+const createStorage = ({ port } = {}) => {
+  if (!process.env.STORAGE_DRIVER && !process.env.S3_BUCKET && hasLegacyR2Setup()) {
+    throw new Error('Found the old R2 upload setup (uploadToR2.js or R2_* variables) but no S3_BUCKET. ' +
+      'Set S3_BUCKET, S3_ENDPOINT, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY and S3_PUBLIC_URL to keep using R2, ' +
+      'or STORAGE_DRIVER=local to store files on this machine');
+  }
+
+  const name = process.env.STORAGE_DRIVER || (process.env.S3_BUCKET ? 's3' : 'local');
+  if (!drivers[name]) {
+    throw new Error(`Unknown storage driver "${name}" (expected one of: ${Object.keys(drivers).join(', ')})`);
+  }
+
+  const driver = drivers[name]()({ port, contentTypeFor });
+  console.log(`🗄️ Storage driver: ${name}`);
+
+  // Counted for /metrics
+  const put = async (key, buffer, options) => {
+    try {
+      const url = await driver.put(key, buffer, options);
+      storageUploads.inc({ driver: name, outcome: 'ok' });
+      storageUploadBytes.inc({ driver: name }, buffer.length);
+      return url;
+    } catch (err) {
+      storageUploads.inc({ driver: name, outcome: 'error' });
+      throw err;
+    }
+  };
+
+  return { name, ...driver, put };
+};
+
+module.exports = { createStorage, contentTypeFor };
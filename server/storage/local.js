@@ -0,0 +1,70 @@
+// Local filesystem storage
+//
+// Files are written under STORAGE_DIR (default ./storage) and served by the
+// server itself at /files. STORAGE_PUBLIC_URL overrides the URL prefix when
+// something else (a reverse proxy, a CDN) serves that directory.
+
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+
+const createLocalStorage = ({ port, contentTypeFor }) => {
+  const root = path.resolve(process.env.STORAGE_DIR || 'storage');
+  const publicBase = (process.env.STORAGE_PUBLIC_URL || `http://localhost:${port}/files`).replace(/\/$/, '');
+
+  // Keys are relative paths; anything escaping the root is refused
+  const resolve = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  const publicUrl = (key) => `${publicBase}/${key.split('/').map(encodeURIComponent).join('/')}`;
+
+  const put = async (key, buffer) => {
+    const filePath = resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+    return publicUrl(key);
+  };
+
+  const get = async (key) => {
+    try {
+      return await fs.promises.readFile(resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  const exists = async (key) => {
+    try {
+      await fs.promises.access(resolve(key));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  const remove = async (key) => {
+    await fs.promises.rm(resolve(key), { force: true });
+  };
+
+  // Mounted by the app so the URLs from publicUrl() resolve
+  const router = () => {
+    const r = express.Router();
+    r.use('/files', express.static(root, {
+      immutable: true,
+      maxAge: '30d',
+      setHeaders: (res, filePath) => res.set('Content-Type', contentTypeFor(filePath))
+    }));
+    r.use('/files', (req, res) => res.status(404).json({ error: 'File not found' }));
+    return r;
+  };
+
+  return { put, get, exists, delete: remove, publicUrl, router };
+};
+
+module.exports = { createLocalStorage };
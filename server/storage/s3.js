@@ -0,0 +1,77 @@
+// S3-compatible storage (AWS S3, Cloudflare R2, MinIO, ...)
+//
+//   S3_BUCKET             bucket name (required)
+//   S3_ENDPOINT           custom endpoint, e.g. https://<account>.r2.cloudflarestorage.com
+//   S3_REGION             default "auto", which is what R2 expects
+//   S3_ACCESS_KEY_ID      credentials; the SDK's default chain is used when unset
+//   S3_SECRET_ACCESS_KEY
+//   S3_PUBLIC_URL         public base URL of the bucket (r2.dev domain, CDN, ...)
+
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+
+const isNotFound = (error) =>
+  error.name === 'NotFound' || error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404;
+
+const createS3Storage = ({ contentTypeFor }) => {
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) throw new Error('S3_BUCKET is required for the s3 storage driver');
+
+  const publicBase = (process.env.S3_PUBLIC_URL || '').replace(/\/$/, '');
+  if (!publicBase) throw new Error('S3_PUBLIC_URL is required for the s3 storage driver');
+
+  const client = new S3Client({
+    region: process.env.S3_REGION || 'auto',
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: Boolean(process.env.S3_ENDPOINT),
+    credentials: process.env.S3_ACCESS_KEY_ID ? {
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+    } : undefined
+  });
+
+  const publicUrl = (key) => `${publicBase}/${key.split('/').map(encodeURIComponent).join('/')}`;
+
+  const put = async (key, buffer, { contentType } = {}) => {
+    await client.send(new PutObjectCommand({
+      Bucket: bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: contentType || contentTypeFor(key)
+    }));
+    return publicUrl(key);
+  };
+
+  const get = async (key) => {
+    try {
+      const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return Buffer.from(await Body.transformToByteArray());
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
+  };
+
+  const exists = async (key) => {
+    try {
+      await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+      return true;
+    } catch (error) {
+      if (isNotFound(error)) return false;
+      throw error;
+    }
+  };
+
+  const remove = async (key) => {
+    await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+  };
+
+  return { put, get, exists, delete: remove, publicUrl };
+};
+
+module.exports = { createS3Storage };
@@ -0,0 +1,117 @@
+// The admin overview, with chapters in a fresh SQLite database and the
+// browser pool and job queue faked
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'admin-test-'));
+process.env.DB_DRIVER = 'sqlite';
+process.env.DB_FILE = path.join(dir, 'test.sqlite');
+process.env.CACHE_DRIVER = 'memory';
+process.env.ADMIN_API_KEY = 'test-admin-key';
+
+const db = require('../db');
+const { getSource } = require('../sources');
+const { createAuth } = require('../auth');
+const { createCache } = require('../cache');
+const { createScrapers } = require('../scrapers');
+const { createAdminRouter } = require('../routes/admin');
+
+const pool = {
+  stats: () => ({ size: 2, busy: 1, waiting: 0 }),
+  withPage: async () => { throw new Error('Navigation timeout of 15000 ms exceeded'); }
+};
+
+const jobQueue = {
+  list: async ({ status }) => status === 'running' ? [{ id: 'job-1', type: 'series', status }] : []
+};
+
+let cache;
+
+// The admin router behind authentication, as app.js mounts it
+const start = (t, deps = {}) => {
+  const auth = createAuth();
+  const app = express();
+  app.use(auth.authenticate);
+  app.use(auth.authorize);
+  app.use(createAdminRouter({
+    cache, auth, pool,
+    scrapers: createScrapers(pool),
+    storage: { name: 'local' },
+    jobQueue,
+    ...deps
+  }));
+  const server = app.listen(0);
+  t.after(() => server.close());
+  const url = `http://127.0.0.1:${server.address().port}/admin/stats`;
+  return { auth, url, stats: (key = 'test-admin-key') => fetch(url, { headers: { 'X-API-Key': key } }) };
+};
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+  await db.migrate();
+  cache = createCache();
+
+  await db.saveComicToDB('chapter-1', 'https://example/chapter-1/', [
+    { index: 0, sourceUrl: 'https://img.example/0.jpg', url: 'https://cdn.example/0.webp', size: 300, hash: 'a', status: 'uploaded' },
+    { index: 1, sourceUrl: 'https://img.example/1.jpg', url: null, status: 'failed', error: 'Failed to fetch image: 404' }
+  ]);
+  await db.saveBlob('a', { url: 'https://cdn.example/0.webp', size: 300, width: 10, height: 20 });
+});
+
+after(async () => {
+  await cache.close();
+  await db.sql.end();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('reports pool, jobs, storage use and recent failures', async (t) => {
+  const scrapers = createScrapers(pool);
+  await assert.rejects(scrapers.detail(getSource(), 'missing-series'));
+  const { stats } = start(t, { scrapers });
+
+  const body = await (await stats()).json();
+  assert.equal(body.cache.driver, 'memory');
+  assert.deepEqual(body.browserPool, { size: 2, busy: 1, waiting: 0 });
+  assert.deepEqual(body.jobs, { running: [{ id: 'job-1', type: 'series', status: 'running' }], queued: [] });
+  assert.deepEqual(body.storage, {
+    driver: 'local',
+    chapters: 1,
+    pages: 2,
+    uploadedPages: 1,
+    failedPages: 1,
+    blobs: 1,
+    blobBytes: 300,
+    thumbnails: 0
+  });
+
+  const [page] = body.failures.pages;
+  assert.deepEqual(
+    { slug: page.slug, page: page.page, sourceUrl: page.sourceUrl, error: page.error },
+    { slug: 'chapter-1', page: 2, sourceUrl: 'https://img.example/1.jpg', error: 'Failed to fetch image: 404' }
+  );
+  assert.equal(body.failures.scrapes.length, 1);
+  assert.deepEqual(
+    { kind: body.failures.scrapes[0].kind, target: body.failures.scrapes[0].target },
+    { kind: 'detail', target: 'missing-series' }
+  );
+});
+
+test('says there are no jobs when the profile runs none', async (t) => {
+  const { stats } = start(t, { jobQueue: null });
+  assert.equal((await (await stats()).json()).jobs, null);
+});
+
+test('needs an admin key', async (t) => {
+  const { auth, url, stats } = start(t);
+  const crawler = await auth.issue('crawler app', 'crawler');
+
+  assert.equal((await fetch(url)).status, 401);
+  assert.equal((await stats(crawler.key)).status, 403);
+  assert.equal((await stats()).status, 200);
+});
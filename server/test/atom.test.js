@@ -0,0 +1,47 @@
+// Atom feed builder and source date parsing
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { escapeXml, parseSourceDate, buildAtomFeed } = require('../atom');
+
+test('escapes XML special characters', () => {
+  assert.equal(escapeXml(`<a href="x">Tom & Jerry's</a>`), '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&apos;s&lt;/a&gt;');
+  assert.equal(escapeXml(undefined), '');
+});
+
+test('parses relative dates in Indonesian and English', () => {
+  const now = new Date('2024-03-10T12:30:00Z');
+  assert.equal(parseSourceDate('2 jam yang lalu', now).toISOString(), '2024-03-10T10:00:00.000Z');
+  assert.equal(parseSourceDate('3 days ago', now).toISOString(), '2024-03-07T00:00:00.000Z');
+});
+
+test('parses absolute dates and gives up on anything else', () => {
+  assert.equal(parseSourceDate('March 3, 2024 UTC').toISOString(), '2024-03-03T00:00:00.000Z');
+  assert.equal(parseSourceDate('kemarin'), null);
+  assert.equal(parseSourceDate(''), null);
+});
+
+test('builds a feed with escaped entries', () => {
+  const xml = buildAtomFeed({
+    id: 'https://example/feed',
+    title: 'Latest & greatest',
+    link: 'https://example/',
+    self: 'https://example/feed',
+    author: 'Example',
+    entries: [{
+      id: 'https://example/a',
+      title: 'A <b>',
+      link: 'https://example/a?x=1&y=2',
+      updated: new Date('2024-01-01T00:00:00Z'),
+      thumbnail: 'https://example/a.jpg'
+    }]
+  });
+
+  assert.match(xml, /^<\?xml version="1.0" encoding="utf-8"\?>/);
+  assert.match(xml, /<title>Latest &amp; greatest<\/title>/);
+  assert.match(xml, /<title>A &lt;b&gt;<\/title>/);
+  assert.match(xml, /href="https:\/\/example\/a\?x=1&amp;y=2"/);
+  assert.match(xml, /<updated>2024-01-01T00:00:00.000Z<\/updated>/);
+  assert.match(xml, /rel="enclosure" type="image\/jpeg" href="https:\/\/example\/a.jpg"/);
+});
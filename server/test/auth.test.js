@@ -0,0 +1,128 @@
+// API keys and roles, with keys issued into a fresh SQLite database
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+process.env.DB_DRIVER = 'sqlite';
+process.env.DB_FILE = path.join(dir, 'test.sqlite');
+process.env.ADMIN_API_KEY = 'test-admin-key';
+
+const db = require('../db');
+const { createAuth, roleFor, hasRole } = require('../auth');
+
+// An app behind authenticate and authorize that echoes the key it saw
+const start = (t, auth) => {
+  const app = express();
+  app.use(auth.authenticate);
+  app.use(auth.authorize);
+  app.all(/.*/, (req, res) => res.json({ key: req.apiKey?.id || null }));
+  const server = app.listen(0);
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return (route, key, method = 'GET') => fetch(`${base}${route}`, { method, headers: key ? { Authorization: `Bearer ${key}` } : {} });
+};
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  return db.migrate();
+});
+
+after(async () => {
+  await db.sql.end();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('maps routes to the role they need', () => {
+  assert.equal(roleFor('GET', '/admin/keys'), 'admin');
+  assert.equal(roleFor('POST', '/jobs'), 'crawler');
+  assert.equal(roleFor('GET', '/metrics'), 'crawler');
+  assert.equal(roleFor('POST', '/track'), 'reader');
+  assert.equal(roleFor('GET', '/get'), null);
+  assert.equal(roleFor('GET', '/doujin'), null);
+});
+
+test('matches paths the way Express routes them', () => {
+  assert.equal(roleFor('GET', '/Admin/keys'), 'admin');
+  assert.equal(roleFor('GET', '/ADMIN/stats'), 'admin');
+  assert.equal(roleFor('GET', '/Jobs'), 'crawler');
+  assert.equal(roleFor('GET', '/AUTO-JSON'), 'crawler');
+  assert.equal(roleFor('GET', '/auto-json/'), 'crawler');
+  assert.equal(roleFor('POST', '/track/'), 'reader');
+});
+
+test('higher roles may do what lower ones may', () => {
+  assert.equal(hasRole({ role: 'admin' }, 'reader'), true);
+  assert.equal(hasRole({ role: 'reader' }, 'crawler'), false);
+  assert.equal(hasRole(null, 'reader'), false);
+});
+
+test('leaves open routes open and asks for a key elsewhere', async (t) => {
+  const request = start(t, createAuth());
+  assert.equal((await request('/get')).status, 200);
+
+  const denied = await request('/metrics');
+  assert.equal(denied.status, 401);
+  assert.equal(denied.headers.get('www-authenticate'), 'Bearer');
+  assert.equal((await request('/get', 'dk_nope')).status, 401);
+});
+
+test('asks for a key however the path is spelled', async (t) => {
+  const request = start(t, createAuth());
+  for (const route of ['/Admin/keys', '/ADMIN/stats', '/Jobs', '/AUTO-JSON', '/auto-json/?file=x', '/metrics/']) {
+    assert.equal((await request(route)).status, 401, route);
+  }
+});
+
+test('requireRole guards a single route', async (t) => {
+  const auth = createAuth();
+  const app = express();
+  app.use(auth.authenticate);
+  app.get('/guarded', auth.requireRole('admin'), (req, res) => res.json({ ok: true }));
+  const server = app.listen(0);
+  t.after(() => server.close());
+  const url = `http://127.0.0.1:${server.address().port}/guarded`;
+  const reader = await auth.issue('guard test', 'reader');
+
+  assert.equal((await fetch(url)).status, 401);
+  assert.equal((await fetch(url, { headers: { 'X-API-Key': reader.key } })).status, 403);
+  assert.equal((await fetch(url, { headers: { 'X-API-Key': 'test-admin-key' } })).status, 200);
+});
+
+test('issued keys get their role and lose it when revoked', async (t) => {
+  const auth = createAuth();
+  const request = start(t, auth);
+  const reader = await auth.issue('reader app', 'reader');
+
+  assert.equal((await request('/track', reader.key, 'POST')).status, 200);
+  const forbidden = await request('/jobs', reader.key, 'POST');
+  assert.equal(forbidden.status, 403);
+  assert.deepEqual(await forbidden.json(), { error: 'This needs the crawler role', role: 'crawler' });
+
+  assert.equal(await auth.revoke(reader.id), true);
+  assert.equal((await request('/track', reader.key, 'POST')).status, 401);
+  assert.equal(await auth.revoke(reader.id), false);
+});
+
+test('ADMIN_API_KEY is an admin key', async (t) => {
+  const request = start(t, createAuth());
+  assert.equal((await request('/admin/keys', 'test-admin-key')).status, 200);
+});
+
+test('refuses unknown roles', async () => {
+  await assert.rejects(createAuth().issue('x', 'owner'), { status: 400 });
+});
+
+test('AUTH=off opens everything but still knows the internal key', async (t) => {
+  process.env.AUTH = 'off';
+  const auth = createAuth();
+  delete process.env.AUTH;
+  const request = start(t, auth);
+
+  assert.deepEqual(await (await request('/admin/keys')).json(), { key: null });
+  assert.deepEqual(await (await request('/search', auth.internalKey)).json(), { key: 'internal' });
+});
@@ -0,0 +1,95 @@
+// Two-tier cache: stale-while-revalidate in wrap() and the disk store
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-test-'));
+process.env.CACHE_DIR = dir;
+
+const { createCache } = require('../cache');
+const { createDiskStore } = require('../cache/disk');
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 10));
+
+before(() => mock.method(console, 'log', () => {}));
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('loads a missing value once and serves it fresh after', async (t) => {
+  process.env.CACHE_DRIVER = 'memory';
+  const cache = createCache();
+  t.after(() => cache.close());
+
+  let loads = 0;
+  const load = async () => {
+    loads++;
+    await tick();
+    return { n: loads };
+  };
+  const policy = { ttl: 60, stale: 60 };
+
+  const [a, b] = await Promise.all([cache.wrap('k', policy, load), cache.wrap('k', policy, load)]);
+  assert.deepEqual([a.state, b.state], ['miss', 'miss']);
+  assert.deepEqual(a.value, { n: 1 });
+  assert.deepEqual(b.value, { n: 1 });
+  assert.deepEqual(await cache.wrap('k', policy, load), { value: { n: 1 }, state: 'fresh' });
+  assert.equal(loads, 1);
+});
+
+test('serves a stale value while one background load replaces it', async (t) => {
+  process.env.CACHE_DRIVER = 'memory';
+  const cache = createCache();
+  t.after(() => cache.close());
+
+  let loads = 0;
+  const load = async () => ++loads;
+  const policy = { ttl: 0, stale: 60 }; // stale as soon as it is written
+
+  assert.deepEqual(await cache.wrap('k', policy, load), { value: 1, state: 'miss' });
+  const stale = await Promise.all([cache.wrap('k', policy, load), cache.wrap('k', policy, load)]);
+  assert.deepEqual(stale, [{ value: 1, state: 'stale' }, { value: 1, state: 'stale' }]);
+
+  await tick();
+  assert.equal(loads, 2);
+  assert.equal(await cache.get('k'), 2);
+});
+
+test('keeps entries on disk across restarts', async (t) => {
+  process.env.CACHE_DRIVER = 'disk';
+  const first = createCache();
+  await first.set('search_a', ['result'], 60);
+  await first.close();
+
+  const second = createCache();
+  t.after(() => second.close());
+  assert.deepEqual(await second.get('search_a'), ['result']);
+  assert.equal(second.stats().storeHits, 1);
+});
+
+test('purges keys by prefix from both tiers', async (t) => {
+  process.env.CACHE_DRIVER = 'disk';
+  const cache = createCache();
+  t.after(() => cache.close());
+  await cache.set('detail_a', 1);
+  await cache.set('detail_b', 2);
+  await cache.set('list_a', 3);
+
+  assert.deepEqual(await cache.purge('detail_'), { memory: 2, store: 2 });
+  assert.equal(await cache.get('detail_a'), undefined);
+  assert.equal(await cache.get('list_a'), 3);
+});
+
+test('disk store: expired entries are gone and concurrent writes leave one file', async (t) => {
+  const store = createDiskStore();
+  t.after(() => store.close());
+
+  await store.set('old', { value: 1 }, -1);
+  assert.equal(await store.get('old'), null);
+
+  await Promise.all(Array.from({ length: 20 }, (_, i) => store.set('busy', { value: i }, 60)));
+  assert.equal(typeof (await store.get('busy')).value, 'number');
+  assert.deepEqual(fs.readdirSync(dir).filter(name => name.endsWith('.tmp')), []);
+});
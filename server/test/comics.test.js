@@ -0,0 +1,152 @@
+// Chapter loading in the comic service, with pages served from a local HTTP
+// server, storage kept in memory and chapters in a fresh SQLite database
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const sharp = require('sharp');
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'comics-test-'));
+process.env.DB_DRIVER = 'sqlite';
+process.env.DB_FILE = path.join(dir, 'test.sqlite');
+process.env.CACHE_DRIVER = 'memory';
+process.env.IMAGE_VARIANTS = 'webp,mobile'; // AVIF is slow to encode
+
+const db = require('../db');
+const { getSource } = require('../sources');
+const { createCache } = require('../cache');
+const { createComicService } = require('../comics');
+const { perceptualHash } = require('../imageProcessing');
+
+const source = getSource();
+const images = new Map(); // path -> bytes, for the page server
+let server;
+let base;
+let cache;
+
+const gradient = (width, height) => {
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let i = 0; i < width * height; i++) pixels.fill(Math.round(((i % width) / width) * 255), i * 3, i * 3 + 3);
+  return sharp(pixels, { raw: { width, height, channels: 3 } });
+};
+
+// Top to bottom, unlike gradient(): a page that looks nothing like the others
+const banner = (width, height) => sharp({
+  create: { width, height, channels: 3, background: '#000' }
+}).composite([{ input: Buffer.from(`<svg width="${width}" height="${height / 2}"><rect width="100%" height="100%" fill="#fff"/></svg>`), top: 0, left: 0 }]);
+
+// Keeps uploads in `images`, so stored pages can be fetched back
+const storage = {
+  puts: 0,
+  put: async (key, buffer) => {
+    storage.puts++;
+    images.set(`/files/${key}`, buffer);
+    return `${base}/files/${key}`;
+  }
+};
+
+// A source chapter whose pages are the given images
+const scrapers = (pages) => ({
+  chapterImages: async (src, slug) => {
+    const urls = pages.map((buffer, i) => {
+      images.set(`/source/${slug}/${i}.jpg`, buffer);
+      return `${base}/source/${slug}/${i}.jpg`;
+    });
+    return { url: `${base}/${slug}/`, images: urls };
+  }
+});
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  await db.migrate();
+  cache = createCache();
+
+  const app = express();
+  app.get(/.*/, (req, res) => images.has(req.path) ? res.send(images.get(req.path)) : res.sendStatus(404));
+  server = app.listen(0);
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.close();
+  await cache.close();
+  await db.sql.end();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('stores the size of every page and of its renditions', async () => {
+  const pages = [await gradient(900, 1300).jpeg().toBuffer(), await gradient(400, 600).png().toBuffer()];
+  const comics = createComicService({ scrapers: scrapers(pages), cache, storage });
+
+  const scraped = await comics.getComic(source, 'sized-1');
+  assert.equal(scraped.source, 'freshly scraped');
+  assert.deepEqual(scraped.images.map(p => [p.width, p.height]), [[900, 1300], [400, 600]]);
+  assert.deepEqual(scraped.images[0].variants.mobile, {
+    url: `${base}/files/DOUJINSHI/sized-1/mobile/sized-1_1.webp`,
+    width: 720,
+    height: 1040,
+    type: 'image/webp'
+  });
+
+  const stored = await db.getComicFromDB('sized-1');
+  assert.deepEqual(stored.map(p => [p.width, p.height]), [[900, 1300], [400, 600]]);
+  assert.equal(stored[1].variants.webp.width, 400);
+});
+
+test('measures pages stored before sizes were recorded', async () => {
+  const jpeg = await gradient(320, 480).jpeg().toBuffer();
+  images.set('/files/old/1.jpg', jpeg);
+  await db.saveComicToDB('unsized-1', `${base}/unsized-1/`, [
+    { index: 0, sourceUrl: `${base}/source/old.jpg`, url: `${base}/files/old/1.jpg`, status: 'uploaded' }
+  ]);
+  const comics = createComicService({ scrapers: scrapers([]), cache, storage });
+
+  const first = await comics.getComic(source, 'unsized-1');
+  assert.equal(first.source, 'database');
+  assert.equal(first.images[0].width, null);
+
+  let page;
+  for (let i = 0; i < 50 && !page?.width; i++) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    [page] = await db.getComicFromDB('unsized-1');
+  }
+  assert.deepEqual([page.width, page.height], [320, 480]);
+});
+
+test('uploads an image once however many chapters use it', async () => {
+  const shared = await gradient(300, 400).jpeg().toBuffer();
+  const own = await gradient(300, 410).jpeg().toBuffer();
+
+  const first = await createComicService({ scrapers: scrapers([shared, own]), cache, storage })
+    .getComic(source, 'shared-1');
+  const puts = storage.puts;
+  const second = await createComicService({ scrapers: scrapers([shared]), cache, storage })
+    .getComic(source, 'shared-2');
+
+  assert.equal(storage.puts, puts);
+  assert.equal(second.images[0].url, first.images[0].url);
+  assert.equal(second.images[0].hash, first.images[0].hash);
+  assert.deepEqual(second.images[0].variants, first.images[0].variants);
+});
+
+test('leaves out pages that look like a listed junk page when asked', async (t) => {
+  const credits = await banner(300, 400).png().toBuffer();
+  const page = await gradient(300, 420).jpeg().toBuffer();
+  const comics = createComicService({ scrapers: scrapers([page, credits]), cache, storage });
+
+  // The listed copy was saved at another size and quality
+  const listed = await perceptualHash(await sharp(credits).resize({ width: 150 }).jpeg({ quality: 50 }).toBuffer());
+  await db.addJunkHash(listed, 'scanlator credits');
+  t.after(() => db.removeJunkHash(listed));
+
+  const all = await comics.getComic(source, 'junk-1');
+  assert.equal(all.total, 2);
+  assert.equal(all.junk, undefined);
+
+  const filtered = await comics.getComic(source, 'junk-1', { skipJunk: true });
+  assert.deepEqual(filtered.images.map(p => p.index), [0]);
+  assert.deepEqual([filtered.total, filtered.junk], [1, 1]);
+});
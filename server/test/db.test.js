@@ -0,0 +1,113 @@
+// Query helpers in ../db against a fresh SQLite database
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'db-test-'));
+process.env.DB_DRIVER = 'sqlite';
+process.env.DB_FILE = path.join(dir, 'test.sqlite');
+
+const db = require('../db');
+
+const page = (index) => ({
+  index,
+  sourceUrl: `https://img.example/${index}.jpg`,
+  url: `https://cdn.example/${index}.webp`,
+  size: 100 + index,
+  width: 800,
+  height: 1200,
+  hash: `hash-${index}`,
+  status: 'ok'
+});
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  return db.migrate();
+});
+
+after(async () => {
+  await db.sql.end();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('stores a chapter\'s pages in order', async () => {
+  await db.saveComicToDB('chapter-1', 'https://example/chapter-1/', [page(1), page(0), page(2)]);
+  const pages = await db.getComicFromDB('chapter-1');
+  assert.deepEqual(pages.map(p => p.index), [0, 1, 2]);
+  assert.equal(pages[1].url, 'https://cdn.example/1.webp');
+  assert.equal(pages[1].width, 800);
+
+  // Still written for the previous release, which reads it
+  const [comic] = await db.sql`SELECT image_url FROM comics WHERE slug = 'chapter-1'`;
+  assert.equal(comic.image_url, [0, 1, 2].map(i => `https://cdn.example/${i}.webp`).join(','));
+});
+
+test('drops pages past the end when a chapter shrinks', async () => {
+  await db.saveComicToDB('chapter-2', 'https://example/chapter-2/', [0, 1, 2, 3, 4].map(page));
+  await db.saveComicToDB('chapter-2', 'https://example/chapter-2/', [0, 1, 2].map(page));
+  assert.deepEqual((await db.getComicFromDB('chapter-2')).map(p => p.index), [0, 1, 2]);
+});
+
+test('has nothing for a chapter never saved', async () => {
+  assert.equal(await db.getComicFromDB('missing'), null);
+});
+
+test('reads several chapters\' pages in one query', async () => {
+  await db.saveComicToDB('batch-a', 'https://example/batch-a/', [page(1), page(0)]);
+  await db.saveComicToDB('batch-b', 'https://example/batch-b/', [page(0)]);
+  const comics = await db.getComicsFromDB(['batch-b', 'missing', 'batch-a']);
+  assert.deepEqual([...comics.keys()].sort(), ['batch-a', 'batch-b']);
+  assert.deepEqual(comics.get('batch-a').map(p => p.index), [0, 1]);
+  assert.equal((await db.getComicsFromDB([])).size, 0);
+});
+
+const detail = (...links) => ({
+  title: 'Series',
+  genres: ['Action'],
+  chapters: links.map(link => ({ chapterLink: link, chapterTitle: `Chapter ${link}` }))
+});
+
+test('stores a series and its chapter list', async () => {
+  assert.deepEqual(await db.saveSeriesToDB('series-1', 'test', 'https://example/series-1/', detail('/c2/', '/c1/')), []);
+  const { detail: stored } = await db.getSeriesFromDB('series-1');
+  assert.equal(stored.title, 'Series');
+  assert.deepEqual(stored.genres, ['Action']);
+  assert.deepEqual(stored.chapters.map(c => c.chapterLink), ['/c2/', '/c1/']);
+});
+
+test('reports new chapters and drops ones no longer listed', async () => {
+  await db.saveSeriesToDB('series-2', 'test', 'https://example/series-2/', detail('/c2/', '/c1/'));
+  const added = await db.saveSeriesToDB('series-2', 'test', 'https://example/series-2/', detail('/c3/', '/c2/'));
+  assert.deepEqual(added.map(c => c.chapterLink), ['/c3/']);
+  const { detail: stored } = await db.getSeriesFromDB('series-2');
+  assert.deepEqual(stored.chapters.map(c => c.chapterLink), ['/c3/', '/c2/']);
+});
+
+test('keeps every chapter when a series is saved twice at once', async () => {
+  const links = ['/c6/', '/c5/', '/c4/', '/c3/', '/c2/', '/c1/'];
+  await Promise.all([
+    db.saveSeriesToDB('series-3', 'test', 'https://example/series-3/', detail(...links)),
+    db.saveSeriesToDB('series-3', 'test', 'https://example/series-3/', detail(...links))
+  ]);
+  const { detail: stored } = await db.getSeriesFromDB('series-3');
+  assert.deepEqual(stored.chapters.map(c => c.chapterLink), links);
+});
+
+test('records new chapters of tracked series until they are prefetched', async () => {
+  await db.saveSeriesToDB('series-4', 'test', 'https://example/series-4/', detail('/c1/'));
+  assert.equal(await db.setSeriesTracked('series-4', true, { prefetch: true }), true);
+  await db.saveSeriesToDB('series-4', 'test', 'https://example/series-4/', detail('/c3/', '/c2/', '/c1/'));
+
+  const pending = await db.getUnprefetchedChapters('series-4');
+  assert.deepEqual(pending.map(c => c.link).sort(), ['/c2/', '/c3/']);
+
+  await db.markChapterPrefetched('series-4', '/c2/');
+  assert.deepEqual((await db.getUnprefetchedChapters('series-4')).map(c => c.link), ['/c3/']);
+});
+
+test('does not track a series that was never stored', async () => {
+  assert.equal(await db.setSeriesTracked('missing', true), false);
+});
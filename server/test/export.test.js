@@ -0,0 +1,171 @@
+// Chapter exports, with pages served from a local HTTP server and stored
+// chapters in a fresh SQLite database
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const express = require('express');
+const { PassThrough } = require('stream');
+const sharp = require('sharp');
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'export-test-'));
+process.env.DB_DRIVER = 'sqlite';
+process.env.DB_FILE = path.join(dir, 'test.sqlite');
+
+const db = require('../db');
+const { getSource } = require('../sources');
+const { loadStoredChapters } = require('../export/chapter');
+const { writeCbz } = require('../export/cbz');
+const { writePdf } = require('../export/pdf');
+const { writeEpub } = require('../export/epub');
+const { createExportRouter } = require('../routes/export');
+
+let server;
+let base;
+
+// Collects everything written to the stream
+const collect = () => {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+  return { output, bytes: () => Buffer.concat(chunks) };
+};
+
+const chapter = (...names) => ({
+  slug: 'chapter-1',
+  url: `${base}/chapter-1/`,
+  title: 'Chapter 1',
+  number: '1',
+  date: null,
+  language: 'id',
+  pages: names.map(name => ({ url: `${base}/${name}` })),
+  series: null
+});
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+  const png = await sharp({ create: { width: 20, height: 30, channels: 3, background: 'red' } }).png().toBuffer();
+  server = http.createServer((req, res) => {
+    if (req.url.endsWith('.png')) return res.end(png);
+    if (req.url.endsWith('.txt')) return res.end('not an image');
+    res.statusCode = 404;
+    res.end();
+  }).listen(0);
+  base = `http://127.0.0.1:${server.address().port}`;
+  await db.migrate();
+});
+
+after(async () => {
+  server.close();
+  await db.sql.end();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// A series of three chapters, newest first as the source lists them
+const detail = {
+  title: 'Series',
+  genres: [],
+  chapters: [
+    { chapterLink: '/series-chapter-3/', chapterTitle: 'Chapter 3' },
+    { chapterLink: '/series-chapter-2/', chapterTitle: 'Chapter 2' },
+    { chapterLink: '/series-chapter-1/', chapterTitle: 'Chapter 1' }
+  ]
+};
+
+const storePages = (slug, ...names) => db.saveComicToDB(slug, `${base}/${slug}/`, names.map((name, index) => ({
+  index, url: `${base}/${name}`, sourceUrl: null, size: null, width: null, height: null, hash: null, status: 'uploaded'
+})));
+
+test('writes a CBZ with the pages in order and a ComicInfo.xml', async () => {
+  const { output, bytes } = collect();
+  const stats = await writeCbz(chapter('a.png', 'b.png'), output, { referer: base });
+  assert.deepEqual(stats, { pages: 2, skipped: 0 });
+
+  const zip = bytes().toString('latin1');
+  assert.ok(zip.startsWith('PK'));
+  assert.ok(zip.indexOf('1.png') < zip.indexOf('2.png'));
+  assert.match(zip, /<PageCount>2<\/PageCount>/);
+  assert.match(zip, /ImageWidth="20" ImageHeight="30"/);
+});
+
+test('leaves out pages that fail to download', async () => {
+  const { output, bytes } = collect();
+  const stats = await writeCbz(chapter('a.png', 'gone', 'b.png'), output, { referer: base });
+  assert.deepEqual(stats, { pages: 2, skipped: 1 });
+
+  const zip = bytes().toString('latin1');
+  assert.ok(zip.includes('1.png') && zip.includes('2.png') && !zip.includes('3.png'));
+  assert.match(zip, /<PageCount>2<\/PageCount>/);
+});
+
+test('writes a PDF with one page per image and a bookmark per chapter', async () => {
+  const { output, bytes } = collect();
+  const second = { ...chapter('b.png'), title: 'Chapter 2' };
+  const stats = await writePdf([chapter('a.png', 'b.png'), second], output, { title: 'Series', referer: base });
+  assert.deepEqual(stats, { pages: 3, skipped: 0 });
+
+  const pdf = bytes().toString('latin1');
+  assert.ok(pdf.startsWith('%PDF-'));
+  assert.equal(pdf.match(/\/Type \/Page\b/g).length, 3);
+  assert.match(pdf, /\/Title \(Chapter 1\)/);
+  assert.match(pdf, /\/Title \(Chapter 2\)/);
+});
+
+test('writes an EPUB with a cover, one page per image and the package last', async () => {
+  const { output, bytes } = collect();
+  const book = { identifier: `${base}/series/`, title: 'Series', thumbnail: `${base}/cover.png` };
+  const stats = await writeEpub(book, [chapter('a.png', 'junk.txt', 'b.png')], output, { referer: base });
+  assert.deepEqual(stats, { pages: 2, skipped: 1 });
+
+  const epub = bytes().toString('latin1');
+  assert.ok(epub.startsWith('PK'));
+  assert.ok(epub.includes('mimetypeapplication/epub+zip'), 'mimetype comes first and uncompressed');
+  for (const name of ['OEBPS/images/cover.png', 'OEBPS/images/c0001-p0001.png', 'OEBPS/images/c0001-p0003.png']) {
+    assert.ok(epub.includes(name), name);
+  }
+  assert.ok(!epub.includes('c0001-p0002'));
+  assert.ok(epub.indexOf('OEBPS/content.opf') > epub.indexOf('OEBPS/images/c0001-p0003.png'));
+});
+
+test('a series is exported from its stored chapters only', async () => {
+  await storePages('series-chapter-1', 'a.png', 'b.png');
+  await storePages('series-chapter-3', 'a.png');
+
+  const { chapters, missing } = await loadStoredChapters(getSource(), 'series', detail);
+  assert.deepEqual(chapters.map(c => [c.slug, c.title, c.pages.length]), [
+    ['series-chapter-1', 'Chapter 1', 2],
+    ['series-chapter-3', 'Chapter 3', 1]
+  ]);
+  assert.equal(chapters[0].series.title, 'Series');
+  assert.deepEqual(missing, ['series-chapter-2']);
+});
+
+test('series export routes never scrape and say what they left out', async (t) => {
+  const comics = { getComic: () => assert.fail('a series export must not scrape') };
+  const series = { getDetail: async (source, slug) => ({ detail: slug === 'series' ? detail : { ...detail, chapters: [] } }) };
+  const app = express();
+  app.use(createExportRouter({ comics, series }));
+  const listener = app.listen(0);
+  t.after(() => listener.close());
+  const url = (route) => `http://127.0.0.1:${listener.address().port}${route}`;
+
+  const response = await fetch(url('/export/series.pdf?url=series'));
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('x-missing-chapters'), '1');
+  assert.ok(Buffer.from(await response.arrayBuffer()).toString('latin1').startsWith('%PDF-'));
+
+  const empty = await fetch(url('/export/series.epub?url=unstored'));
+  assert.equal(empty.status, 404);
+  assert.deepEqual(await empty.json(), { error: 'No stored chapters to export', missing: 0 });
+});
+
+test('rejects when the output fails mid-way', async () => {
+  const output = new PassThrough();
+  output.on('data', () => {});
+  setTimeout(() => output.destroy(new Error('client gone')), 5);
+  await assert.rejects(writeCbz(chapter(...Array(20).fill('a.png')), output, { referer: base }), /client gone/);
+});
@@ -0,0 +1,77 @@
+// Decoding chapter pages and making their renditions
+
+const sharp = require('sharp');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { processImage, perceptualHash, hashDistance, toJpeg } = require('../imageProcessing');
+
+// A horizontal gradient, so encoders have something to chew on
+const gradient = (width, height) => {
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let i = 0; i < width * height; i++) pixels.fill(Math.round(((i % width) / width) * 255), i * 3, i * 3 + 3);
+  return sharp(pixels, { raw: { width, height, channels: 3 } });
+};
+
+test('makes every rendition and keeps the original as it came', async () => {
+  const png = await gradient(1000, 1400).png().toBuffer();
+  const { original, variants } = await processImage(png);
+
+  assert.equal(original.buffer, png);
+  assert.deepEqual(
+    { ext: original.ext, contentType: original.contentType, width: original.width, height: original.height },
+    { ext: '.png', contentType: 'image/png', width: 1000, height: 1400 }
+  );
+
+  const shapes = Object.fromEntries(Object.entries(variants)
+    .map(([name, v]) => [name, [v.contentType, v.ext, v.width, v.height]]));
+  assert.deepEqual(shapes, {
+    webp: ['image/webp', '.webp', 1000, 1400],
+    avif: ['image/avif', '.avif', 1000, 1400],
+    mobile: ['image/webp', '.webp', 720, 1008],
+    preview: ['image/webp', '.webp', 200, 280]
+  });
+  assert.equal((await sharp(variants.avif.buffer).metadata()).format, 'heif');
+});
+
+test('does not enlarge pages narrower than a rendition', async () => {
+  const { variants } = await processImage(await gradient(150, 300).jpeg().toBuffer());
+  assert.deepEqual([variants.mobile.width, variants.preview.width], [150, 150]);
+});
+
+test('reports the format the bytes decode as', async () => {
+  const { original } = await processImage(await gradient(40, 40).webp().toBuffer());
+  assert.deepEqual([original.ext, original.contentType], ['.webp', 'image/webp']);
+});
+
+test('refuses what does not decode', async () => {
+  await assert.rejects(processImage(Buffer.from('<html>Not found</html>')), { code: 'INVALID_IMAGE' });
+
+  const jpeg = await gradient(200, 200).jpeg().toBuffer();
+  await assert.rejects(processImage(jpeg.subarray(0, jpeg.length / 2)), { code: 'INVALID_IMAGE' });
+});
+
+test('perceptual hashes survive re-encoding and rescaling', async () => {
+  const page = await gradient(600, 900).png().toBuffer();
+  const hash = await perceptualHash(page);
+  assert.match(hash, /^[0-9a-f]{16}$/);
+
+  const resaved = await sharp(page).resize({ width: 300 }).jpeg({ quality: 60 }).toBuffer();
+  assert.ok(hashDistance(hash, await perceptualHash(resaved)) <= 2);
+
+  const mirrored = await perceptualHash(await sharp(page).flop().toBuffer());
+  assert.ok(hashDistance(hash, mirrored) > 32);
+  assert.equal((await processImage(page)).phash, hash);
+});
+
+test('hashDistance counts the bits two hashes differ in', () => {
+  assert.equal(hashDistance('0000000000000000', '0000000000000000'), 0);
+  assert.equal(hashDistance('0000000000000000', '0000000000000007'), 3);
+  assert.equal(hashDistance('ffffffffffffffff', '0000000000000000'), 64);
+});
+
+test('toJpeg re-encodes for consumers that only take JPEG', async () => {
+  const jpeg = await toJpeg(await gradient(30, 20).webp().toBuffer());
+  const { format, width, height } = await sharp(jpeg).metadata();
+  assert.deepEqual([format, width, height], ['jpeg', 30, 20]);
+});
@@ -0,0 +1,111 @@
+// /proxy answers: validators, conditional GETs and byte ranges
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'images-test-'));
+process.env.DB_DRIVER = 'sqlite';
+process.env.DB_FILE = path.join(dir, 'test.sqlite');
+
+const db = require('../db');
+const { createImagesRouter, sendImage } = require('../routes/images');
+
+const IMAGE = Buffer.from('0123456789');
+
+// An app that answers every request with IMAGE through sendImage
+const start = (t, image = {}) => {
+  const app = express();
+  app.get('/image', (req, res) => sendImage(req, res, { buffer: IMAGE, contentType: 'image/png', ...image }));
+  const server = app.listen(0);
+  t.after(() => server.close());
+  const url = `http://127.0.0.1:${server.address().port}/image`;
+  // fetch() adds Cache-Control: no-cache to conditional requests unless one
+  // is given, and a no-cache request is never fresh
+  return (headers = {}) => fetch(url, { headers: { 'Cache-Control': 'max-age=0', ...headers } });
+};
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+  return db.migrate();
+});
+
+after(async () => {
+  await db.sql.end();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('derives an ETag from the bytes and answers 304 when it still matches', async (t) => {
+  const request = start(t);
+  const first = await request();
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get('accept-ranges'), 'bytes');
+  const etag = first.headers.get('etag');
+  assert.match(etag, /^"[0-9a-f]{32}"$/);
+
+  const again = await request({ 'If-None-Match': etag });
+  assert.equal(again.status, 304);
+  assert.equal(await again.text(), '');
+  assert.equal((await request({ 'If-None-Match': '"other"' })).status, 200);
+});
+
+test('passes the image host\'s validators through', async (t) => {
+  const lastModified = 'Wed, 01 Jan 2025 00:00:00 GMT';
+  const request = start(t, { etag: '"upstream"', lastModified });
+  const response = await request();
+  assert.equal(response.headers.get('etag'), '"upstream"');
+  assert.equal(response.headers.get('last-modified'), lastModified);
+  assert.equal((await request({ 'If-Modified-Since': lastModified })).status, 304);
+});
+
+test('serves a single byte range', async (t) => {
+  const request = start(t);
+  const partial = await request({ Range: 'bytes=2-5' });
+  assert.equal(partial.status, 206);
+  assert.equal(partial.headers.get('content-range'), 'bytes 2-5/10');
+  assert.equal(await partial.text(), '2345');
+
+  const unsatisfiable = await request({ Range: 'bytes=20-30' });
+  assert.equal(unsatisfiable.status, 416);
+  assert.equal(unsatisfiable.headers.get('content-range'), 'bytes */10');
+
+  // Several ranges get the whole image
+  assert.equal((await request({ Range: 'bytes=0-1,4-5' })).status, 200);
+});
+
+test('only serves a range while If-Range still matches', async (t) => {
+  const request = start(t, { etag: '"v2"' });
+  assert.equal((await request({ Range: 'bytes=0-1', 'If-Range': '"v2"' })).status, 206);
+
+  const changed = await request({ Range: 'bytes=0-1', 'If-Range': '"v1"' });
+  assert.equal(changed.status, 200);
+  assert.equal(await changed.text(), IMAGE.toString());
+});
+
+test('/proxy redirects to a stored copy and answers cache failures itself', async (t) => {
+  let cached = 'https://cdn.example/proxy/a.jpg';
+  const cache = {
+    get: async () => {
+      if (cached instanceof Error) throw cached;
+      return cached;
+    }
+  };
+  const app = express();
+  app.use(createImagesRouter({ pool: null, cache, storage: null, auth: null }));
+  const server = app.listen(0);
+  t.after(() => server.close());
+  const url = `http://127.0.0.1:${server.address().port}/proxy?url=${encodeURIComponent('https://img.example/a.jpg')}`;
+
+  const redirected = await fetch(url, { redirect: 'manual' });
+  assert.equal(redirected.status, 302);
+  assert.equal(redirected.headers.get('location'), cached);
+
+  cached = new Error('cache down');
+  const failed = await fetch(url, { redirect: 'manual' });
+  assert.equal(failed.status, 500);
+  assert.equal(await failed.text(), 'cache down');
+});
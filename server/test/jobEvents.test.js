@@ -0,0 +1,116 @@
+// Job progress over Server-Sent Events, including Last-Event-ID replay
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-events-test-'));
+process.env.DB_DRIVER = 'sqlite';
+process.env.DB_FILE = path.join(dir, 'test.sqlite');
+process.env.JOB_POLL_INTERVAL = '20';
+
+const db = require('../db');
+const { createJobQueue } = require('../jobs/queue');
+const { createJobsRouter } = require('../routes/jobs');
+
+let release;
+const gate = new Promise(resolve => { release = resolve; });
+
+const queue = createJobQueue({
+  sql: db.sql,
+  handlers: {
+    steps: {
+      lane: 'a',
+      run: async (params, ctx) => {
+        ctx.emit('step', { n: 1 });
+        ctx.emit('step', { n: 2 });
+        await gate;
+        return { done: true };
+      }
+    }
+  }
+});
+
+let server;
+let base;
+
+// Reads a whole event stream into [{ id, event, data }]
+const readEvents = async (route, headers = {}) => {
+  const response = await fetch(`${base}${route}`, { headers });
+  assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+  const text = await response.text();
+  return text.split('\n\n').filter(block => block && !block.startsWith(':')).map(block => {
+    const fields = Object.fromEntries(block.split('\n').map(line => {
+      const at = line.indexOf(': ');
+      return [line.slice(0, at), line.slice(at + 2)];
+    }));
+    return { id: fields.id ? Number(fields.id) : undefined, event: fields.event, data: JSON.parse(fields.data) };
+  });
+};
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  await db.migrate();
+  await queue.start();
+
+  const app = express();
+  app.use(express.json());
+  app.use(createJobsRouter({ jobQueue: queue }));
+  server = app.listen(0);
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  queue.stop();
+  server.close();
+  // Let the last scheduled ticks finish before the database goes away
+  await new Promise(resolve => setTimeout(resolve, 50));
+  await db.sql.end();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('streams a snapshot, the missed events and the end of the job', async () => {
+  const queued = await (await fetch(`${base}/jobs`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ type: 'steps' })
+  })).json();
+  assert.equal(queued.statusUrl, `/jobs/${queued.jobId}`);
+
+  // Wait for the second step, and remember the first one's id. Buffered
+  // events are replayed before subscribe() returns.
+  const steps = [];
+  let unsubscribe;
+  await new Promise(resolve => {
+    unsubscribe = queue.subscribe(queued.jobId, event => {
+      if (event.type === 'step') steps.push(event.id);
+      if (steps.length === 2) resolve();
+    });
+  });
+  unsubscribe();
+  const firstStep = steps[0];
+
+  const events = readEvents(`/jobs/${queued.jobId}/events`, { 'Last-Event-ID': String(firstStep) });
+  setTimeout(release, 50);
+  const received = await events;
+
+  assert.deepEqual(received.map(e => e.event), ['snapshot', 'step', 'status']);
+  assert.equal(received[0].data.status, 'running');
+  assert.deepEqual(received[1], { id: firstStep + 1, event: 'step', data: { n: 2 } });
+  assert.deepEqual(received[2].data, { status: 'completed' });
+});
+
+test('a finished job only gets its snapshot', async () => {
+  const [job] = await queue.list({ status: 'completed' });
+  const received = await readEvents(`/jobs/${job.id}/events`);
+  assert.deepEqual(received.map(e => e.event), ['snapshot']);
+  assert.deepEqual(received[0].data.result, { done: true });
+});
+
+test('unknown jobs are a 404', async () => {
+  const response = await fetch(`${base}/jobs/nope/events`);
+  assert.equal(response.status, 404);
+});
@@ -0,0 +1,189 @@
+// Job queue: lanes run one job at a time, progress survives a restart and
+// cancelling stops a running handler
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-test-'));
+process.env.DB_DRIVER = 'sqlite';
+process.env.DB_FILE = path.join(dir, 'test.sqlite');
+process.env.JOB_POLL_INTERVAL = '20';
+process.env.JOB_MAX_TIMEOUT = '1000';
+
+const db = require('../db');
+const { createJobQueue } = require('../jobs/queue');
+
+// Resolves with the job once it reaches one of the final statuses
+const settled = (queue, id) => new Promise(resolve => {
+  const unsubscribe = queue.subscribe(id, async (event) => {
+    if (event.type === 'status' && queue.FINAL_STATUSES.includes(event.data.status)) {
+      unsubscribe();
+      resolve(await queue.get(id));
+    }
+  });
+});
+
+before(() => {
+  // Progress lines would otherwise mix into the test runner's output
+  mock.method(console, 'log', () => {});
+  return db.migrate();
+});
+
+after(async () => {
+  // Let the last scheduled ticks finish before the database goes away
+  await new Promise(resolve => setTimeout(resolve, 50));
+  await db.sql.end();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('runs a job and stores its result', async () => {
+  const queue = createJobQueue({
+    sql: db.sql,
+    handlers: { echo: { lane: 'a', run: async (params) => ({ echoed: params.value }) } }
+  });
+  await queue.start();
+  try {
+    const job = await queue.enqueue('echo', { value: 42 });
+    assert.equal(job.status, 'queued');
+    const done = await settled(queue, job.id);
+    assert.equal(done.status, 'completed');
+    assert.deepEqual(done.result, { echoed: 42 });
+  } finally {
+    queue.stop();
+  }
+});
+
+test('rejects unknown job types with a 400', async () => {
+  const queue = createJobQueue({ sql: db.sql, handlers: {} });
+  await assert.rejects(queue.enqueue('nope'), { status: 400 });
+});
+
+test('runs one job per lane at a time', async () => {
+  let active = 0;
+  let most = 0;
+  const queue = createJobQueue({
+    sql: db.sql,
+    handlers: {
+      slow: {
+        lane: 'b',
+        run: async () => {
+          most = Math.max(most, ++active);
+          await new Promise(resolve => setTimeout(resolve, 30));
+          active--;
+        }
+      }
+    }
+  });
+  await queue.start();
+  try {
+    const jobs = await Promise.all([1, 2, 3].map(() => queue.enqueue('slow')));
+    await Promise.all(jobs.map(job => settled(queue, job.id)));
+    assert.equal(most, 1);
+  } finally {
+    queue.stop();
+  }
+});
+
+test('cancels a running job', async () => {
+  const queue = createJobQueue({
+    sql: db.sql,
+    handlers: {
+      endless: {
+        lane: 'c',
+        run: async (params, ctx) => {
+          ctx.emit('looping');
+          for (;;) {
+            ctx.throwIfAborted();
+            await new Promise(resolve => setTimeout(resolve, 5));
+          }
+        }
+      }
+    }
+  });
+  await queue.start();
+  try {
+    const job = await queue.enqueue('endless');
+    const done = settled(queue, job.id);
+    await new Promise(resolve => queue.subscribe(job.id, event => event.type === 'looping' && resolve()));
+    await queue.cancel(job.id);
+    assert.equal((await done).status, 'cancelled');
+  } finally {
+    queue.stop();
+  }
+});
+
+// Loops until aborted
+const endless = async (params, ctx) => {
+  ctx.emit('looping');
+  for (;;) {
+    ctx.throwIfAborted();
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+test('cancels a job another process is running', async () => {
+  const runner = createJobQueue({ sql: db.sql, handlers: { endless: { lane: 'e', run: endless } } });
+  const other = createJobQueue({ sql: db.sql, handlers: {} });
+  await runner.start();
+  try {
+    const job = await runner.enqueue('endless');
+    const done = settled(runner, job.id);
+    await new Promise(resolve => runner.subscribe(job.id, event => event.type === 'looping' && resolve()));
+    assert.equal((await other.cancel(job.id)).status, 'running');
+    assert.equal((await done).status, 'cancelled');
+  } finally {
+    runner.stop();
+  }
+});
+
+test('keeps client timeouts to numbers below JOB_MAX_TIMEOUT', async () => {
+  const queue = createJobQueue({ sql: db.sql, handlers: { endless: { lane: 'f', run: endless } } });
+  await queue.start();
+  try {
+    const loose = await queue.enqueue('endless', { timeout: 'soon' });
+    assert.equal(loose.params.timeout, undefined);
+    await queue.cancel(loose.id);
+
+    const job = await queue.enqueue('endless', { timeout: 10 * 24 * 60 * 60 * 1000 });
+    assert.equal(job.params.timeout, 1000);
+    const done = await settled(queue, job.id);
+    assert.equal(done.status, 'failed');
+    assert.equal(done.error, 'Operation timed out');
+  } finally {
+    queue.stop();
+  }
+});
+
+test('resumes an interrupted job from its saved progress', async () => {
+  const seen = [];
+  const run = async (params, ctx) => {
+    seen.push(ctx.progress);
+    if (!ctx.progress) {
+      await ctx.update({ step: 1 });
+      return new Promise(() => {}); // "crashes" here
+    }
+    return ctx.progress;
+  };
+
+  const first = createJobQueue({ sql: db.sql, handlers: { resumable: { lane: 'd', run } } });
+  await first.start();
+  const job = await first.enqueue('resumable');
+  while (seen.length === 0) await new Promise(resolve => setTimeout(resolve, 10));
+  await new Promise(resolve => setTimeout(resolve, 20));
+  first.stop();
+
+  const second = createJobQueue({ sql: db.sql, handlers: { resumable: { lane: 'd', run } } });
+  const done = settled(second, job.id);
+  await second.start();
+  try {
+    const finished = await done;
+    assert.equal(finished.status, 'completed');
+    assert.deepEqual(finished.result, { step: 1 });
+    assert.deepEqual(seen, [null, { step: 1 }]);
+  } finally {
+    second.stop();
+  }
+});
@@ -0,0 +1,76 @@
+// Prometheus metrics and who may read them
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'metrics-test-'));
+process.env.DB_DRIVER = 'sqlite';
+process.env.DB_FILE = path.join(dir, 'test.sqlite');
+process.env.ADMIN_API_KEY = 'test-admin-key';
+
+const db = require('../db');
+const { createAuth } = require('../auth');
+const { measureRequests } = require('../metrics');
+const { createMetricsRouter } = require('../routes/metrics');
+
+// Only the metrics router behind authenticate, so the route's own check is
+// the one under test
+const start = (t, auth) => {
+  const app = express();
+  app.use(measureRequests);
+  app.use(auth.authenticate);
+  app.get('/items/:id', (req, res) => res.json({ ok: true }));
+  app.use(createMetricsRouter({ auth }));
+  const server = app.listen(0);
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return (route, key) => fetch(`${base}${route}`, { headers: key ? { 'X-API-Key': key } : {} });
+};
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  return db.migrate();
+});
+
+after(async () => {
+  await db.sql.end();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('/metrics needs a crawler key however the path is spelled', async (t) => {
+  const auth = createAuth();
+  const request = start(t, auth);
+  const reader = await auth.issue('metrics reader', 'reader');
+
+  for (const route of ['/metrics', '/metrics/', '/Metrics']) {
+    assert.equal((await request(route)).status, 401, route);
+  }
+  assert.equal((await request('/metrics', reader.key)).status, 403);
+});
+
+test('crawler and admin keys get the exposition format', async (t) => {
+  const auth = createAuth();
+  const request = start(t, auth);
+  const crawler = await auth.issue('prometheus', 'crawler');
+
+  for (const key of [crawler.key, 'test-admin-key']) {
+    const response = await request('/metrics', key);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/plain/);
+    assert.match(await response.text(), /^# HELP doujin_jobs_running /m);
+  }
+});
+
+test('requests are labelled by route pattern, not by path', async (t) => {
+  const request = start(t, createAuth());
+  await request('/items/1');
+  await request('/items/2');
+
+  const body = await (await request('/metrics', 'test-admin-key')).text();
+  assert.match(body, /doujin_http_request_duration_seconds_count\{method="GET",route="\/items\/:id",status="200"\} 2/);
+  assert.doesNotMatch(body, /route="\/items\/1"/);
+});
@@ -0,0 +1,94 @@
+// Migrations on the embedded SQLite driver, and the transactions they run in
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createSqlite } = require('../db/sqlite');
+const { migrate } = require('../db/migrate');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrate-test-'));
+let sql;
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  sql = createSqlite(path.join(dir, 'test.sqlite'));
+});
+
+after(async () => {
+  await sql.end();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('applies every migration once', async () => {
+  const ran = await migrate(sql, 'sqlite');
+  assert.ok(ran.length > 0);
+  assert.deepEqual((await sql`SELECT id FROM schema_migrations ORDER BY id`).map(row => row.id), ran);
+
+  assert.deepEqual(await migrate(sql, 'sqlite'), []);
+});
+
+test('copies old comma-joined pages into chapter_images and keeps them', async (t) => {
+  const old = createSqlite(path.join(dir, 'old.sqlite'));
+  t.after(() => old.end());
+  // A comics table as the server made it before there were migrations
+  await old`CREATE TABLE comics (slug TEXT PRIMARY KEY, url TEXT NOT NULL, image_url TEXT NOT NULL)`;
+  await old`INSERT INTO comics (slug, url, image_url) VALUES ('old', 'https://example/old/', 'https://cdn/a.jpg,https://cdn/b.jpg')`;
+
+  await migrate(old, 'sqlite');
+  const pages = await old`SELECT page_index, cdn_url, status FROM chapter_images WHERE comic_slug = 'old' ORDER BY page_index`;
+  assert.deepEqual(pages.map(p => [p.page_index, p.cdn_url, p.status]), [
+    [0, 'https://cdn/a.jpg', 'uploaded'],
+    [1, 'https://cdn/b.jpg', 'uploaded']
+  ]);
+  assert.equal((await old`SELECT image_url FROM comics WHERE slug = 'old'`)[0].image_url, 'https://cdn/a.jpg,https://cdn/b.jpg');
+});
+
+test('commits a transaction that resolves', async () => {
+  await sql`CREATE TABLE tx_ok (n INTEGER)`;
+  const result = await sql.begin(async (tx) => {
+    await tx`INSERT INTO tx_ok (n) VALUES (${1})`;
+    return 'done';
+  });
+  assert.equal(result, 'done');
+  assert.equal((await sql`SELECT COUNT(*) AS count FROM tx_ok`)[0].count, 1);
+});
+
+test('rolls back a transaction that throws', async () => {
+  await sql`CREATE TABLE tx_fail (n INTEGER)`;
+  await assert.rejects(sql.begin(async (tx) => {
+    await tx`INSERT INTO tx_fail (n) VALUES (${1})`;
+    throw new Error('boom');
+  }), /boom/);
+  assert.equal((await sql`SELECT COUNT(*) AS count FROM tx_fail`)[0].count, 0);
+});
+
+test('queries outside a transaction wait for it to end', async () => {
+  await sql`CREATE TABLE tx_wait (n INTEGER)`;
+  let release;
+  const transaction = sql.begin(async (tx) => {
+    await tx`INSERT INTO tx_wait (n) VALUES (${1})`;
+    await new Promise(resolve => { release = resolve; });
+    await tx`INSERT INTO tx_wait (n) VALUES (${2})`;
+  });
+
+  const outside = sql`SELECT COUNT(*) AS count FROM tx_wait`;
+  await new Promise(resolve => setTimeout(resolve, 10));
+  release();
+  await transaction;
+  assert.equal((await outside)[0].count, 2);
+});
+
+test('runs concurrent transactions one after another', async () => {
+  await sql`CREATE TABLE tx_serial (n INTEGER)`;
+  const order = [];
+  await Promise.all([1, 2, 3].map(n => sql.begin(async (tx) => {
+    order.push(`start ${n}`);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await tx`INSERT INTO tx_serial (n) VALUES (${n})`;
+    order.push(`end ${n}`);
+  })));
+  assert.deepEqual(order, ['start 1', 'end 1', 'start 2', 'end 2', 'start 3', 'end 3']);
+});
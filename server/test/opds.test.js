@@ -0,0 +1,136 @@
+// OPDS 1.2 and 2.0 documents, and the catalog routes serving them with the
+// scraping services stubbed out
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'opds-test-'));
+process.env.DB_DRIVER = 'sqlite';
+process.env.DB_FILE = path.join(dir, 'test.sqlite');
+
+const db = require('../db');
+const { sourceKey, getSource } = require('../sources');
+const { REL, OPDS2, DIVINA, NAVIGATION, buildOpdsFeed, buildOpds2Feed, buildDivinaManifest } = require('../opds');
+const { createOpdsRouter } = require('../routes/opds');
+
+const pages = [
+  { url: 'https://cdn.example/files/ch/0.webp', width: 800, height: 1200 },
+  { url: 'https://cdn.example/files/ch/1.webp', width: 800, height: 1200 }
+];
+
+let server;
+let base;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  await db.migrate();
+  await db.saveComicToDB(sourceKey(getSource(), 'series-c1'), 'https://example/series-c1/',
+    pages.map((page, index) => ({ ...page, index, sourceUrl: page.url, status: 'ok' })));
+
+  const app = express();
+  app.use(createOpdsRouter({
+    scrapers: {},
+    cache: { wrap: async (key, policy, fn) => ({ value: await fn() }), policies: {} },
+    series: {
+      getDetail: async () => ({
+        detail: {
+          title: 'Series',
+          genres: ['Action'],
+          chapters: [{ chapterLink: '/series-c2/', chapterTitle: 'Chapter 2' }, { chapterLink: '/series-c1/', chapterTitle: 'Chapter 1' }]
+        }
+      })
+    },
+    comics: { getComic: async () => ({ images: pages }) },
+    exports: false
+  }));
+  server = app.listen(0);
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.close();
+  await db.sql.end();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const entry = {
+  id: 'urn:a',
+  title: 'A & B',
+  links: [
+    { rel: REL.stream, href: 'https://x/page?n={pageNumber}', type: 'image/webp', count: 3 },
+    { rel: REL.thumbnail, href: 'https://x/a.jpg', type: 'image/jpeg' }
+  ]
+};
+
+test('builds an OPDS 1.2 feed with page stream links', () => {
+  const xml = buildOpdsFeed({ id: 'urn:f', title: 'Feed', kind: NAVIGATION, self: 'https://x/opds', entries: [entry] });
+  assert.match(xml, /<title>A &amp; B<\/title>/);
+  assert.match(xml, /rel="http:\/\/vaemendis.net\/opds-pse\/stream" href="https:\/\/x\/page\?n={pageNumber}" type="image\/webp" pse:count="3"/);
+});
+
+test('builds the same feed as OPDS 2.0', () => {
+  const feed = buildOpds2Feed({
+    title: 'Feed',
+    self: 'https://x/opds/v2',
+    links: [{ rel: 'search', href: 'https://x/opds/v2/search{?query}', type: NAVIGATION }],
+    entries: [entry, { id: 'urn:n', title: 'More', links: [{ rel: 'subsection', href: 'https://x/more', type: NAVIGATION }] }]
+  });
+  assert.deepEqual(feed.links[0], { rel: 'self', href: 'https://x/opds/v2', type: OPDS2 });
+  assert.deepEqual(feed.links[1], { rel: 'search', href: 'https://x/opds/v2/search{?query}', type: OPDS2, templated: true });
+  assert.deepEqual(feed.navigation, [{ href: 'https://x/more', type: OPDS2, title: 'More' }]);
+  assert.equal(feed.publications.length, 1);
+  assert.equal(feed.publications[0].metadata.title, 'A & B');
+  assert.deepEqual(feed.publications[0].images, [{ href: 'https://x/a.jpg', type: 'image/jpeg' }]);
+});
+
+test('builds a Divina manifest', () => {
+  const manifest = buildDivinaManifest({
+    id: 'urn:c',
+    title: 'Chapter',
+    self: 'https://x/manifest',
+    pages: [{ href: 'https://x/0.png', type: 'image/png', width: 10, height: 20 }, { href: 'https://x/1.png', type: 'image/png' }]
+  });
+  assert.equal(manifest.metadata.numberOfPages, 2);
+  assert.deepEqual(manifest.links, [{ rel: 'self', href: 'https://x/manifest', type: DIVINA }]);
+  assert.deepEqual(manifest.readingOrder[1], { href: 'https://x/1.png', type: 'image/png' });
+});
+
+test('streams stored chapters with their stored page type', async () => {
+  const response = await fetch(`${base}/opds/series?url=series`);
+  assert.equal(response.status, 200);
+  const xml = await response.text();
+  assert.match(xml, /page\?url=series-c1&amp;page={pageNumber}" type="image\/webp" pse:count="2"/);
+  // Never fetched, so it links to the route that works the count out
+  assert.match(xml, /opds\/chapter\?url=series-c2"/);
+});
+
+test('serves the catalog as OPDS 2.0 under /opds/v2', async () => {
+  const root = await fetch(`${base}/opds/v2`);
+  assert.match(root.headers.get('content-type'), /^application\/opds\+json/);
+  const feed = await root.json();
+  assert.equal(feed.navigation[0].href, `${base}/opds/v2/latest`);
+  assert.equal(feed.links.find(link => link.rel === 'search').href, `${base}/opds/v2/search{?query}`);
+
+  const series = await (await fetch(`${base}/opds/v2/series?url=series`)).json();
+  assert.deepEqual(series.publications.map(p => p.links[0]), [
+    { rel: REL.acquisition, href: `${base}/opds/v2/manifest?url=series-c2`, type: DIVINA },
+    { rel: REL.acquisition, href: `${base}/opds/v2/manifest?url=series-c1`, type: DIVINA }
+  ]);
+});
+
+test('serves a chapter as a Divina manifest', async () => {
+  const response = await fetch(`${base}/opds/v2/manifest?url=series-c1`);
+  assert.match(response.headers.get('content-type'), /^application\/divina\+json/);
+  const manifest = await response.json();
+  assert.deepEqual(manifest.readingOrder.map(page => page.type), ['image/webp', 'image/webp']);
+  assert.equal(manifest.readingOrder[0].width, 800);
+});
+
+test('turns down unknown sources', async () => {
+  const response = await fetch(`${base}/opds?source=constructor`);
+  assert.equal(response.status, 400);
+});
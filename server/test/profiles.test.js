@@ -0,0 +1,78 @@
+// Deployment profiles and the TRUST_PROXY setting
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-test-'));
+process.env.DB_DRIVER = 'sqlite';
+process.env.DB_FILE = path.join(dir, 'test.sqlite');
+
+const db = require('../db');
+const { ROUTE_GROUPS, loadProfile } = require('../profiles');
+const { parseTrustProxy } = require('../app');
+
+// loadProfile reads its overrides from the environment on every call
+const withEnv = (env, fn) => {
+  Object.assign(process.env, env);
+  try {
+    return fn();
+  } finally {
+    Object.keys(env).forEach(name => delete process.env[name]);
+  }
+};
+
+after(async () => {
+  await db.sql.end();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('full mounts every route group with a visible browser', () => {
+  const profile = loadProfile('full');
+  assert.equal(profile.name, 'full');
+  assert.deepEqual(profile.routes, ROUTE_GROUPS);
+  assert.equal(profile.browser.headless, false);
+  assert.equal(profile.browser.timeout, 15000);
+});
+
+test('vps runs headless system Chromium without the bulk routes', () => {
+  const profile = loadProfile('vps');
+  assert.equal(profile.browser.headless, true);
+  assert.equal(profile.browser.executablePath, '/usr/bin/chromium-browser');
+  assert.equal(profile.routes.includes('jobs'), false);
+  assert.equal(profile.routes.includes('admin'), false);
+});
+
+test('SERVER_PROFILE picks the profile and unknown names are refused', () => {
+  assert.equal(withEnv({ SERVER_PROFILE: 'vps' }, () => loadProfile()).name, 'vps');
+  assert.throws(() => loadProfile('desktop'), /Unknown server profile "desktop"/);
+});
+
+test('environment variables override single settings', () => {
+  const profile = withEnv({
+    CHROMIUM_PATH: '/opt/chrome',
+    HEADLESS: 'true',
+    ROUTES: 'catalog, images,nope',
+    PORT: '8080',
+    BROWSER_POOL_SIZE: '5'
+  }, () => loadProfile('full'));
+
+  assert.equal(profile.browser.executablePath, '/opt/chrome');
+  assert.equal(profile.browser.headless, true);
+  assert.deepEqual(profile.routes, ['catalog', 'images']);
+  assert.equal(profile.port, 8080);
+  assert.equal(profile.poolSize, 5);
+  assert.equal(withEnv({ HEADLESS: 'false' }, () => loadProfile('vps')).browser.headless, false);
+});
+
+test('TRUST_PROXY turns into the value Express expects', () => {
+  assert.equal(parseTrustProxy(undefined), undefined);
+  assert.equal(parseTrustProxy('  '), undefined);
+  assert.equal(parseTrustProxy('false'), false);
+  assert.equal(parseTrustProxy('0'), false);
+  assert.equal(parseTrustProxy('true'), true);
+  assert.equal(parseTrustProxy(' 2 '), 2);
+  assert.equal(parseTrustProxy('loopback, 10.0.0.0/8'), 'loopback, 10.0.0.0/8');
+});
@@ -0,0 +1,103 @@
+// Token bucket rate limiting per client and route policy
+
+const express = require('express');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createRateLimiter, policyFor } = require('../rateLimit');
+
+// An app behind the limiter; X-Test-Key stands in for a key auth.js accepted
+const start = (t, env = {}) => {
+  // The limiter reads its settings once, when it is created
+  Object.assign(process.env, env);
+  const limiter = createRateLimiter();
+  Object.keys(env).forEach(name => delete process.env[name]);
+
+  const app = express();
+  app.use((req, res, next) => {
+    const key = req.get('x-test-key');
+    if (key) req.apiKey = { id: key, internal: key === 'internal' };
+    next();
+  });
+  app.use(limiter);
+  app.get(/.*/, (req, res) => res.json({ ok: true }));
+
+  const server = app.listen(0);
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return (path, key) => fetch(`${base}${path}`, key ? { headers: { 'X-Test-Key': key } } : {});
+};
+
+const statuses = async (request, times, ...args) => {
+  const result = [];
+  for (let i = 0; i < times; i++) result.push((await request(...args)).status);
+  return result;
+};
+
+test('maps routes to policies', () => {
+  assert.equal(policyFor('GET', '/search'), 'scrape');
+  assert.equal(policyFor('GET', '/opds/v2/manifest'), 'scrape');
+  assert.equal(policyFor('GET', '/export/chapter.cbz'), 'bulk');
+  assert.equal(policyFor('POST', '/jobs'), 'bulk');
+  assert.equal(policyFor('GET', '/jobs'), 'read');
+  assert.equal(policyFor('GET', '/files/a/b.webp'), null);
+  assert.equal(policyFor('GET', '/metrics'), null);
+  assert.equal(policyFor('GET', '/proxy'), 'scrape');
+  assert.equal(policyFor('GET', '/opds/page'), 'scrape');
+});
+
+test('matches paths the way Express routes them', () => {
+  assert.equal(policyFor('GET', '/Get-Comic'), 'scrape');
+  assert.equal(policyFor('GET', '/search/'), 'scrape');
+  assert.equal(policyFor('GET', '/opds/v2/series/'), 'scrape');
+  assert.equal(policyFor('POST', '/Jobs/'), 'bulk');
+  assert.equal(policyFor('GET', '/Metrics/'), null);
+});
+
+test('limits every spelling of a path in the same bucket', async (t) => {
+  const request = start(t, { RATE_LIMIT_SCRAPE: '2,1' });
+  assert.deepEqual(await statuses(request, 1, '/search'), [200]);
+  assert.deepEqual(await statuses(request, 1, '/Search/'), [200]);
+  assert.deepEqual(await statuses(request, 1, '/SEARCH'), [429]);
+});
+
+test('answers 429 with Retry-After once the burst is spent', async (t) => {
+  const request = start(t, { RATE_LIMIT_SCRAPE: '3,60' });
+  assert.deepEqual(await statuses(request, 4, '/search'), [200, 200, 200, 429]);
+
+  const limited = await request('/search');
+  assert.equal(limited.status, 429);
+  assert.equal(limited.headers.get('retry-after'), '1');
+  assert.deepEqual(await limited.json(), { error: 'Too many requests', policy: 'scrape' });
+});
+
+test('sends RateLimit headers on every answer', async (t) => {
+  const request = start(t, { RATE_LIMIT_READ: '10,60' });
+  const response = await request('/tracked');
+  assert.equal(response.headers.get('ratelimit-limit'), '10');
+  assert.equal(response.headers.get('ratelimit-remaining'), '9');
+  assert.equal(response.headers.get('ratelimit-policy'), '10;w=10;policy="read"');
+});
+
+test('keeps a bucket per policy and per API key', async (t) => {
+  const request = start(t, { RATE_LIMIT_SCRAPE: '1,1' });
+  assert.deepEqual(await statuses(request, 2, '/search'), [200, 429]);
+  assert.equal((await request('/tracked')).status, 200);
+  assert.deepEqual(await statuses(request, 2, '/search', 'key-a'), [200, 429]);
+  assert.equal((await request('/search', 'key-b')).status, 200);
+});
+
+test('does not limit the job handlers\' internal key', async (t) => {
+  const request = start(t, { RATE_LIMIT_SCRAPE: '1,1' });
+  assert.deepEqual(await statuses(request, 5, '/search', 'internal'), [200, 200, 200, 200, 200]);
+});
+
+test('does not limit stored files', async (t) => {
+  const request = start(t, { RATE_LIMIT_READ: '1,1' });
+  assert.deepEqual(await statuses(request, 3, '/files/a.webp'), [200, 200, 200]);
+});
+
+test('RATE_LIMIT=off turns limiting off', async (t) => {
+  const request = start(t, { RATE_LIMIT: 'off', RATE_LIMIT_SCRAPE: '1,1' });
+  assert.deepEqual(await statuses(request, 3, '/search'), [200, 200, 200]);
+});
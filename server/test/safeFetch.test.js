@@ -0,0 +1,65 @@
+// SSRF guards on client supplied image URLs. Hosts are IP literals, so no
+// DNS server is needed.
+
+const http = require('http');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { checkUrl, checkImageBuffer, fetchImage, isPrivateAddress } = require('../safeFetch');
+
+// Signature and IHDR of a 1x1 PNG, as far as the sniffing reads
+const PNG = Buffer.from('89504e470d0a1a0a0000000d494844520000000100000001080600000000', 'hex');
+
+const source = (...imageHosts) => ({
+  baseUrl: 'https://example.com/',
+  imageHosts,
+  headers: { 'User-Agent': 'test' }
+});
+
+test('blocks private, loopback and link-local addresses', () => {
+  for (const address of ['10.1.2.3', '127.0.0.1', '169.254.169.254', '192.168.1.1', '172.16.0.1', '100.64.0.1',
+    '::1', 'fe80::1', 'fd00::1', '::ffff:10.0.0.1', '::ffff:127.0.0.1']) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+});
+
+test('blocks IPv6 prefixes that lead to IPv4 (NAT64, 6to4)', () => {
+  assert.equal(isPrivateAddress('64:ff9b::7f00:1'), true);
+  assert.equal(isPrivateAddress('2002:7f00:1::1'), true);
+});
+
+test('lets public addresses through', () => {
+  for (const address of ['8.8.8.8', '1.1.1.1', '2001:4860:4860::8888']) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+});
+
+test('only allows http(s) URLs on the source\'s image hosts', async () => {
+  await assert.rejects(checkUrl('not a url', source('8.8.8.8')), { status: 400 });
+  await assert.rejects(checkUrl('file:///etc/passwd', source('8.8.8.8')), { status: 400 });
+  await assert.rejects(checkUrl('http://1.1.1.1/a.png', source('8.8.8.8')), { status: 403 });
+  assert.equal((await checkUrl('http://8.8.8.8/a.png', source('8.8.8.8'))).hostname, '8.8.8.8');
+});
+
+test('refuses allowed hosts that are private addresses', async () => {
+  await assert.rejects(checkUrl('http://127.0.0.1/a.png', source('127.0.0.1')), { status: 403 });
+  await assert.rejects(checkUrl('http://[::1]/a.png', source('[::1]')), { status: 403 });
+});
+
+test('only accepts image bytes', () => {
+  assert.equal(checkImageBuffer(PNG), 'image/png');
+  assert.throws(() => checkImageBuffer(Buffer.from('<html></html>')), { status: 415 });
+});
+
+test('does not fetch from loopback even when the host is allowed', async (t) => {
+  let requests = 0;
+  const server = http.createServer((req, res) => {
+    requests++;
+    res.end(PNG);
+  }).listen(0);
+  t.after(() => server.close());
+
+  const url = `http://127.0.0.1:${server.address().port}/a.png`;
+  await assert.rejects(fetchImage(url, source('127.0.0.1')), { status: 403 });
+  assert.equal(requests, 0);
+});
@@ -0,0 +1,48 @@
+// Request coalescing
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createSingleflight } = require('../singleflight');
+
+test('concurrent calls for one key share a single run', async () => {
+  const flight = createSingleflight();
+  let runs = 0;
+  const work = async () => {
+    runs++;
+    await new Promise(resolve => setTimeout(resolve, 10));
+    return 'done';
+  };
+
+  const results = await Promise.all([flight.run('a', work), flight.run('a', work), flight.run('a', work)]);
+  assert.deepEqual(results, ['done', 'done', 'done']);
+  assert.equal(runs, 1);
+  assert.equal(flight.size(), 0);
+});
+
+test('different keys run separately', async () => {
+  const flight = createSingleflight();
+  const results = await Promise.all([flight.run('a', async () => 'a'), flight.run('b', async () => 'b')]);
+  assert.deepEqual(results, ['a', 'b']);
+});
+
+test('every caller gets the error, and the next call runs again', async () => {
+  const flight = createSingleflight();
+  let runs = 0;
+  const failing = async () => {
+    runs++;
+    throw new Error('scrape failed');
+  };
+
+  const calls = [flight.run('a', failing), flight.run('a', failing)];
+  for (const call of calls) await assert.rejects(call, /scrape failed/);
+  assert.equal(runs, 1);
+
+  assert.equal(await flight.run('a', async () => 'retried'), 'retried');
+});
+
+test('a function that throws synchronously still rejects', async () => {
+  const flight = createSingleflight();
+  await assert.rejects(flight.run('a', () => { throw new Error('sync'); }), /sync/);
+  assert.equal(flight.size(), 0);
+});
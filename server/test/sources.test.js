@@ -0,0 +1,62 @@
+// Source adapter registry and the helpers routes use to pick an adapter
+
+const express = require('express');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DEFAULT_SOURCE, getSource, listSources, sourceKey, parseSourceKey, chapterSlug } = require('../sources');
+const { resolveSource } = require('../routes/util');
+
+test('finds registered sources and the default one', () => {
+  assert.equal(getSource().name, DEFAULT_SOURCE);
+  assert.equal(getSource('doujindesu').name, 'doujindesu');
+  assert.deepEqual(listSources().map(s => [s.name, s.default]), [['doujindesu', true]]);
+});
+
+test('does not treat object properties as sources', () => {
+  for (const name of ['nope', '__proto__', 'constructor', 'toString']) {
+    assert.equal(getSource(name), null, name);
+  }
+  assert.equal(getSource(['doujindesu']), null);
+});
+
+test('keeps bare keys for the default source', () => {
+  const source = getSource();
+  assert.equal(sourceKey(source, 'a-chapter'), 'a-chapter');
+  assert.equal(sourceKey({ name: 'other' }, 'a-chapter'), 'other:a-chapter');
+  assert.equal(parseSourceKey('a-chapter').slug, 'a-chapter');
+  assert.equal(parseSourceKey('other:a-chapter', 'other').slug, 'a-chapter');
+});
+
+test('turns chapter links into slugs', () => {
+  const source = getSource();
+  assert.equal(chapterSlug(source, '/a-chapter-1/'), 'a-chapter-1');
+  assert.equal(chapterSlug(source, `${source.baseUrl}a-chapter-1/`), 'a-chapter-1');
+});
+
+test('builds the source\'s URLs', () => {
+  const source = getSource();
+  assert.equal(source.listUrl(2), 'https://doujindesu.tv/doujin/page/2/');
+  assert.equal(source.searchUrl('a b', 1), 'https://doujindesu.tv/page/1/?s=a%20b');
+  assert.equal(source.detailUrl('series'), 'https://doujindesu.tv/manga/series');
+  assert.equal(source.detailUrl('https://doujindesu.tv/manga/series/'), 'https://doujindesu.tv/manga/series/');
+  assert.equal(source.chapterUrl('a-chapter-1'), 'https://doujindesu.tv/a-chapter-1/');
+  assert.equal(source.isValidListUrl('https://doujindesu.tv/doujin/page/3/'), true);
+  assert.equal(source.isValidListUrl('https://example.com/doujin/page/3/'), false);
+});
+
+test('routes answer 400 for an unknown ?source=', async (t) => {
+  const app = express();
+  app.get('/which', (req, res) => {
+    const source = resolveSource(req, res);
+    if (source) res.json({ source: source.name });
+  });
+  const server = app.listen(0);
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  assert.deepEqual(await (await fetch(`${base}/which`)).json(), { source: 'doujindesu' });
+  const unknown = await fetch(`${base}/which?source=__proto__`);
+  assert.equal(unknown.status, 400);
+  assert.deepEqual(await unknown.json(), { error: 'Unknown source: __proto__' });
+});
@@ -0,0 +1,103 @@
+// Storage driver selection and the local disk driver
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+process.env.STORAGE_DIR = dir;
+
+const { createStorage, contentTypeFor } = require('../storage');
+
+// Runs fn with the given variables set, and puts them back after
+const withEnv = (env, fn) => {
+  const saved = Object.fromEntries(Object.keys(env).map(name => [name, process.env[name]]));
+  Object.assign(process.env, env);
+  try {
+    return fn();
+  } finally {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  }
+};
+
+before(() => mock.method(console, 'log', () => {}));
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('uses the local driver without S3 settings', () => {
+  assert.equal(createStorage({ port: 5000 }).name, 'local');
+});
+
+test('refuses an unknown driver', () => {
+  withEnv({ STORAGE_DRIVER: 'ftp' }, () => {
+    assert.throws(() => createStorage(), /Unknown storage driver "ftp"/);
+  });
+});
+
+test('s3 driver needs a bucket and its public URL', () => {
+  withEnv({ STORAGE_DRIVER: 's3' }, () => {
+    assert.throws(() => createStorage(), /S3_BUCKET is required/);
+  });
+  withEnv({ S3_BUCKET: 'comics' }, () => {
+    assert.throws(() => createStorage(), /S3_PUBLIC_URL is required/);
+  });
+  withEnv({ S3_BUCKET: 'comics', S3_PUBLIC_URL: 'https://cdn.example/' }, () => {
+    const storage = createStorage();
+    assert.equal(storage.name, 's3');
+    assert.equal(storage.publicUrl('IMAGES/a b.jpg'), 'https://cdn.example/IMAGES/a%20b.jpg');
+  });
+});
+
+test('refuses to start on the old R2 setup instead of writing to disk', () => {
+  withEnv({ R2_BUCKET_NAME: 'comics' }, () => {
+    assert.throws(() => createStorage(), /old R2 upload setup/);
+  });
+  withEnv({ R2_BUCKET_NAME: 'comics', STORAGE_DRIVER: 'local' }, () => {
+    assert.equal(createStorage().name, 'local');
+  });
+});
+
+test('local driver stores, reads and deletes files', async () => {
+  const storage = createStorage({ port: 5000 });
+  const url = await storage.put('DOUJINSHI/some slug/1.webp', Buffer.from('page'), { contentType: 'image/webp' });
+  assert.equal(url, 'http://localhost:5000/files/DOUJINSHI/some%20slug/1.webp');
+  assert.equal(await storage.exists('DOUJINSHI/some slug/1.webp'), true);
+  assert.equal((await storage.get('DOUJINSHI/some slug/1.webp')).toString(), 'page');
+
+  await storage.delete('DOUJINSHI/some slug/1.webp');
+  assert.equal(await storage.exists('DOUJINSHI/some slug/1.webp'), false);
+  assert.equal(await storage.get('DOUJINSHI/some slug/1.webp'), null);
+});
+
+test('local driver refuses keys outside its directory', async () => {
+  const storage = createStorage();
+  await assert.rejects(storage.put('../escape.jpg', Buffer.from('x')), /Invalid storage key/);
+});
+
+test('local driver serves its files with their content type', async (t) => {
+  const storage = createStorage();
+  await storage.put('IMAGES/a.png', Buffer.from('png'));
+  const app = express();
+  app.use(storage.router());
+  const server = app.listen(0);
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const found = await fetch(`${base}/files/IMAGES/a.png`);
+  assert.equal(found.status, 200);
+  assert.equal(found.headers.get('content-type'), 'image/png');
+  assert.equal(await found.text(), 'png');
+  assert.equal((await fetch(`${base}/files/IMAGES/b.png`)).status, 404);
+});
+
+test('guesses content types from the extension', () => {
+  assert.equal(contentTypeFor('a/b.JPG'), 'image/jpeg');
+  assert.equal(contentTypeFor('a/b.avif'), 'image/avif');
+  assert.equal(contentTypeFor('a/b'), 'application/octet-stream');
+});
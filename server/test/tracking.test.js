@@ -0,0 +1,113 @@
+// Following series: /track, the watcher's new-chapter records, /updates and
+// the series feed, with /detail scrapes stubbed out
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tracking-test-'));
+process.env.DB_DRIVER = 'sqlite';
+process.env.DB_FILE = path.join(dir, 'test.sqlite');
+process.env.WATCH_INTERVAL = '0';
+
+const db = require('../db');
+const { createSeriesService } = require('../series');
+const { createWatcher } = require('../watcher');
+const { createTrackingRouter } = require('../routes/tracking');
+const { createFeedsRouter } = require('../routes/feeds');
+
+// What the stubbed /detail scrape finds, newest chapter first
+const listed = { series: ['/series-chapter-1/'] };
+const scrapers = {
+  detail: async (source, slug) => ({
+    title: `Title of ${slug}`,
+    genres: [],
+    chapters: (listed[slug] || []).map(link => ({ chapterLink: link, chapterTitle: link.replace(/\//g, '') }))
+  })
+};
+
+const prefetched = [];
+const comics = { getComic: async (source, slug) => { prefetched.push(slug); } };
+
+const series = createSeriesService({ scrapers });
+const watcher = createWatcher({ series, comics });
+
+let server;
+let base;
+const request = (route, method = 'GET') => fetch(`${base}${route}`, { method });
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+  await db.migrate();
+
+  const app = express();
+  app.use(createTrackingRouter({ series, watcher }));
+  app.use(createFeedsRouter({ scrapers, cache: null, series }));
+  server = app.listen(0);
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.close();
+  await db.sql.end();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('tracks a series and lists it', async () => {
+  const tracked = await request('/track?url=series&prefetch=1', 'POST');
+  assert.equal(tracked.status, 200);
+  assert.deepEqual(await tracked.json(), { success: true, slug: 'series', title: 'Title of series', chapters: 1, prefetch: true });
+
+  const { series: list } = await (await request('/tracked')).json();
+  assert.deepEqual(list.map(s => [s.slug, s.prefetch, s.lastCheckedAt]), [['series', true, null]]);
+});
+
+test('answers 404 when the series could not be stored', async (t) => {
+  const app = express();
+  const unsaved = { getDetail: async () => ({ detail: { title: 'Gone', chapters: [] } }) };
+  app.use(createTrackingRouter({ series: unsaved, watcher }));
+  const server = app.listen(0);
+  t.after(() => server.close());
+
+  const response = await fetch(`http://127.0.0.1:${server.address().port}/track?url=never-saved`, { method: 'POST' });
+  assert.equal(response.status, 404);
+  assert.deepEqual(await response.json(), { error: 'Series not found' });
+  assert.equal((await request('/track?url=never-saved', 'DELETE')).status, 404);
+});
+
+test('the watcher records and prefetches chapters added since', async () => {
+  listed.series = ['/series-chapter-2/', '/series-chapter-1/'];
+  const summary = await (await request('/tracked/check', 'POST')).json();
+  assert.deepEqual(summary, { success: true, checked: 1, failed: 0, newChapters: 1 });
+  assert.deepEqual(prefetched, ['series-chapter-2']);
+
+  const { updates } = await (await request('/updates?url=series')).json();
+  assert.deepEqual(updates.map(u => [u.series, u.chapterLink, u.seriesTitle]), [['series', '/series-chapter-2/', 'Title of series']]);
+  assert.ok(updates[0].prefetchedAt);
+
+  // Nothing new on the next check, and nothing prefetched twice
+  await watcher.check();
+  assert.deepEqual(prefetched, ['series-chapter-2']);
+});
+
+test('the series feed lists the stored chapters', async () => {
+  const response = await request('/feed/series/series.xml');
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^application\/atom\+xml/);
+  const xml = await response.text();
+  assert.match(xml, /<title>Title of series<\/title>/);
+  assert.equal(xml.match(/<entry>/g).length, 2);
+});
+
+test('/updates refuses an invalid date', async () => {
+  assert.equal((await request('/updates?since=yesterday')).status, 400);
+});
+
+test('stops tracking a series', async () => {
+  assert.equal((await request('/track?url=series', 'DELETE')).status, 200);
+  assert.deepEqual((await (await request('/tracked')).json()).series, []);
+});
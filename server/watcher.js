@@ -0,0 +1,93 @@
+// New-chapter watcher
+//
+// Every WATCH_INTERVAL seconds (default 1 hour, 0 turns it off) the /detail
+// page of every tracked series is scraped again. Saving it records chapters
+// the stored list did not have in chapter_updates; for series tracked with
+// prefetch, every recorded chapter not marked prefetched yet then goes
+// through the same upload path as /get-comic so it is ready before anyone
+// opens it. That includes chapters a /detail refresh or /track found first,
+// and ones whose prefetch failed on an earlier check.
+
+const { parseSourceKey, chapterSlug } = require('./sources');
+const {
+  getTrackedSeries,
+  markSeriesChecked,
+  getUnprefetchedChapters,
+  markChapterPrefetched
+} = require('./db');
+
+const WATCH_INTERVAL = (parseInt(process.env.WATCH_INTERVAL ?? 3600) || 0) * 1000;
+
+/**
+ * @param {object} options
+ * @param {object} options.series - from createSeriesService
+ * @param {object} options.comics - from createComicService
+ */
+const createWatcher = ({ series, comics }) => {
+  let timer = null;
+  let checking = false;
+
+  const prefetch = async (source, seriesKey) => {
+    const chapters = await getUnprefetchedChapters(seriesKey);
+    for (const { link } of chapters) {
+      try {
+        await comics.getComic(source, chapterSlug(source, link));
+        await markChapterPrefetched(seriesKey, link);
+      } catch (err) {
+        console.error(`Prefetch of ${link} failed:`, err.message);
+        await markChapterPrefetched(seriesKey, link, err.message).catch(() => {});
+      }
+    }
+  };
+
+  // Checks every tracked series once, one after another. Resolves to a
+  // summary, or null when a check is already running.
+  const check = async () => {
+    if (checking) return null;
+    checking = true;
+
+    const summary = { checked: 0, failed: 0, newChapters: 0 };
+    try {
+      const tracked = await getTrackedSeries();
+
+      for (const row of tracked) {
+        const { source, slug } = parseSourceKey(row.slug, row.source);
+        if (!source) continue;
+
+        try {
+          const { newChapters } = await series.refresh(source, slug);
+          await markSeriesChecked(row.slug);
+          summary.checked++;
+
+          if (newChapters.length > 0) {
+            summary.newChapters += newChapters.length;
+            console.log(`🆕 ${newChapters.length} new chapter(s) in ${row.title || row.slug}`);
+          }
+          if (row.prefetch) await prefetch(source, row.slug);
+        } catch (err) {
+          summary.failed++;
+          console.error(`Failed to check ${row.slug} for new chapters:`, err.message);
+        }
+      }
+    } catch (error) {
+      console.error('Watcher error:', error);
+    } finally {
+      checking = false;
+    }
+
+    return summary;
+  };
+
+  const start = () => {
+    if (!WATCH_INTERVAL) return;
+    timer = setInterval(check, WATCH_INTERVAL);
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+  };
+
+  return { start, stop, check };
+};
+
+module.exports = { createWatcher };
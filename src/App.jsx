@@ -6,6 +6,7 @@ import HomePage from './pages/HomePage';
 import DetailPage from './pages/DetailPage';
 import ReadPage from './pages/ReadPage';
 import SearchPage from './pages/SearchPage';
+import AdminPage from './pages/AdminPage';
 import './App.css';
 
 function App() {
@@ -20,6 +21,7 @@ function App() {
             <Route path="/search" element={<SearchPage />} />
             <Route path="/detail/:slug" element={<DetailPage />} />
             <Route path="/read/*" element={<ReadPage />} />
+            <Route path="/admin" element={<AdminPage />} />
           </Routes>
         </main>
       </div>
@@ -0,0 +1,287 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import { getAdminStats, cancelJob } from '../services/api';
+import { Activity, AlertTriangle, Cpu, Database, HardDrive, KeyRound, ListChecks, RefreshCw, XCircle } from 'lucide-react';
+
+const REFRESH_INTERVAL = 5000; // ms
+
+const formatBytes = (bytes) => {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  return `${(bytes / Math.pow(1024, i)).toFixed(i === 0 ? 0 : 1)} ${units[i]}`;
+};
+
+const formatDuration = (seconds) => {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  return h > 0 ? `${h}h ${m}m` : `${m}m`;
+};
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+const Card = ({ icon: Icon, title, children }) => (
+  <div className="bg-white rounded-xl shadow-md p-5">
+    <div className="flex items-center gap-2 mb-4">
+      <Icon size={20} className="text-blue-600" />
+      <h2 className="text-lg font-semibold">{title}</h2>
+    </div>
+    {children}
+  </div>
+);
+
+const Stat = ({ label, value }) => (
+  <div className="flex justify-between py-1 text-sm border-b border-gray-100 last:border-0">
+    <span className="text-gray-500">{label}</span>
+    <span className="font-medium">{value}</span>
+  </div>
+);
+
+const AdminPage = () => {
+  const [apiKey, setApiKey] = useState(() => localStorage.getItem('adminApiKey') || '');
+  const [keyInput, setKeyInput] = useState('');
+  const [stats, setStats] = useState(null);
+  const [error, setError] = useState(null);
+  const [cancelling, setCancelling] = useState(null);
+
+  const loadStats = useCallback(async () => {
+    if (!apiKey) return;
+    try {
+      setStats(await getAdminStats(apiKey));
+      setError(null);
+    } catch (err) {
+      if (err.status === 401 || err.status === 403) {
+        // The stored key is wrong or was revoked; ask for another one
+        localStorage.removeItem('adminApiKey');
+        setApiKey('');
+        setStats(null);
+        toast.error(err.message);
+      } else {
+        setError(err.message);
+      }
+    }
+  }, [apiKey]);
+
+  useEffect(() => {
+    loadStats();
+    const timer = setInterval(loadStats, REFRESH_INTERVAL);
+    return () => clearInterval(timer);
+  }, [loadStats]);
+
+  const handleKeySubmit = (e) => {
+    e.preventDefault();
+    const key = keyInput.trim();
+    if (!key) return;
+    localStorage.setItem('adminApiKey', key);
+    setApiKey(key);
+    setKeyInput('');
+  };
+
+  const handleSignOut = () => {
+    localStorage.removeItem('adminApiKey');
+    setApiKey('');
+    setStats(null);
+  };
+
+  const handleCancel = async (job) => {
+    setCancelling(job.id);
+    try {
+      await cancelJob(apiKey, job.id);
+      toast.success(`Cancelled ${job.type} job`);
+      await loadStats();
+    } catch (err) {
+      toast.error(`Failed to cancel job: ${err.message}`);
+    } finally {
+      setCancelling(null);
+    }
+  };
+
+  if (!apiKey) {
+    return (
+      <div className="max-w-md mx-auto mt-16 bg-white rounded-xl shadow-md p-6">
+        <div className="flex items-center gap-2 mb-4">
+          <KeyRound size={20} className="text-blue-600" />
+          <h1 className="text-lg font-semibold">Admin</h1>
+        </div>
+        <form onSubmit={handleKeySubmit} className="flex flex-col gap-3">
+          <input
+            type="password"
+            placeholder="Admin API key"
+            className="px-4 py-2 rounded border border-gray-300"
+            value={keyInput}
+            onChange={(e) => setKeyInput(e.target.value)}
+          />
+          <button type="submit" className="px-4 py-2 rounded-lg bg-blue-600 hover:bg-blue-700 text-white transition-colors">
+            Open dashboard
+          </button>
+        </form>
+      </div>
+    );
+  }
+
+  if (!stats) {
+    return (
+      <div className="flex flex-col items-center justify-center min-h-[60vh]">
+        <div className="h-16 w-16 rounded-full border-t-4 border-b-4 border-blue-500 animate-spin"></div>
+        <p className="mt-6 text-gray-600">{error || 'Loading dashboard...'}</p>
+      </div>
+    );
+  }
+
+  const { browserPool, cache, jobs, failures, storage } = stats;
+  const activeJobs = jobs ? [...jobs.running, ...jobs.queued] : [];
+
+  return (
+    <div className="max-w-6xl mx-auto py-4">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-2xl font-bold">Admin</h1>
+          <p className="text-sm text-gray-500">
+            Up {formatDuration(stats.uptime)}, {formatBytes(stats.memory)} memory
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          {error && (
+            <span className="flex items-center gap-1 text-sm text-red-600">
+              <AlertTriangle size={16} /> {error}
+            </span>
+          )}
+          <button
+            onClick={loadStats}
+            className="flex items-center gap-2 px-4 py-2 rounded-lg bg-blue-600 hover:bg-blue-700 text-white transition-colors"
+          >
+            <RefreshCw size={16} />
+            <span className="hidden sm:inline">Refresh</span>
+          </button>
+          <button
+            onClick={handleSignOut}
+            className="px-4 py-2 rounded-lg bg-gray-200 hover:bg-gray-300 transition-colors"
+          >
+            Sign out
+          </button>
+        </div>
+      </div>
+
+      <div className="grid gap-6 md:grid-cols-3 mb-6">
+        <Card icon={Cpu} title="Browser pool">
+          <Stat label="Size" value={browserPool.size} />
+          <Stat label="In use" value={browserPool.inUse} />
+          <Stat label="Idle" value={browserPool.available} />
+          <Stat label="Last restart" value={formatTime(browserPool.lastRestart)} />
+          <Stat label="Launch failures" value={browserPool.launchFailures} />
+        </Card>
+
+        <Card icon={Database} title="Cache">
+          <Stat label="Driver" value={cache.driver} />
+          <Stat label="Keys in memory" value={cache.memoryKeys} />
+          <Stat label="Memory / store hits" value={`${cache.memoryHits} / ${cache.storeHits}`} />
+          <Stat label="Misses" value={cache.misses} />
+          <Stat label="Stale served" value={cache.staleServed} />
+          <Stat label="Revalidating" value={cache.revalidating} />
+          <Stat label="Store errors" value={cache.storeErrors} />
+        </Card>
+
+        <Card icon={HardDrive} title="Storage">
+          <Stat label="Driver" value={storage.driver} />
+          <Stat label="Chapters" value={storage.chapters} />
+          <Stat label="Pages uploaded" value={`${storage.uploadedPages} / ${storage.pages}`} />
+          <Stat label="Failed pages" value={storage.failedPages} />
+          <Stat label="Distinct images" value={`${storage.blobs} (${formatBytes(storage.blobBytes)})`} />
+          <Stat label="Thumbnails" value={storage.thumbnails} />
+        </Card>
+      </div>
+
+      <div className="mb-6">
+        <Card icon={ListChecks} title="Bulk jobs">
+          {!jobs ? (
+            <p className="text-sm text-gray-500">This server does not run jobs.</p>
+          ) : activeJobs.length === 0 ? (
+            <p className="text-sm text-gray-500">Nothing running or queued.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b">
+                    <th className="py-2 pr-4">Type</th>
+                    <th className="py-2 pr-4">Status</th>
+                    <th className="py-2 pr-4">Params</th>
+                    <th className="py-2 pr-4">Created</th>
+                    <th className="py-2"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {activeJobs.map(job => (
+                    <tr key={job.id} className="border-b border-gray-100 last:border-0">
+                      <td className="py-2 pr-4 font-medium">{job.type}</td>
+                      <td className="py-2 pr-4">
+                        <span className={`px-2 py-0.5 rounded-full text-xs ${
+                          job.status === 'running' ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'
+                        }`}>
+                          {job.status}
+                        </span>
+                      </td>
+                      <td className="py-2 pr-4 text-gray-600 break-all">
+                        {job.params.query || job.params.file || '-'}
+                      </td>
+                      <td className="py-2 pr-4 text-gray-600 whitespace-nowrap">{formatTime(job.createdAt)}</td>
+                      <td className="py-2 text-right">
+                        <button
+                          onClick={() => handleCancel(job)}
+                          disabled={cancelling === job.id}
+                          className="flex items-center gap-1 ml-auto px-3 py-1 rounded-lg bg-red-600 hover:bg-red-700 text-white disabled:opacity-50 transition-colors"
+                        >
+                          <XCircle size={14} />
+                          Cancel
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </Card>
+      </div>
+
+      <div className="grid gap-6 md:grid-cols-2">
+        <Card icon={Activity} title="Recent scrape failures">
+          {failures.scrapes.length === 0 ? (
+            <p className="text-sm text-gray-500">None since the server started.</p>
+          ) : (
+            <ul className="space-y-2 text-sm max-h-96 overflow-y-auto">
+              {failures.scrapes.map((failure, i) => (
+                <li key={i} className="border-b border-gray-100 pb-2 last:border-0">
+                  <div className="flex justify-between gap-2">
+                    <span className="font-medium break-all">{failure.kind}: {failure.target}</span>
+                    <span className="text-gray-400 whitespace-nowrap">{formatTime(failure.at)}</span>
+                  </div>
+                  <p className="text-red-600 break-all">{failure.error}</p>
+                </li>
+              ))}
+            </ul>
+          )}
+        </Card>
+
+        <Card icon={AlertTriangle} title="Failed page uploads">
+          {failures.pages.length === 0 ? (
+            <p className="text-sm text-gray-500">No failed pages.</p>
+          ) : (
+            <ul className="space-y-2 text-sm max-h-96 overflow-y-auto">
+              {failures.pages.map(page => (
+                <li key={`${page.slug}-${page.page}`} className="border-b border-gray-100 pb-2 last:border-0">
+                  <div className="flex justify-between gap-2">
+                    <span className="font-medium break-all">{page.slug} #{page.page}</span>
+                    <span className="text-gray-400 whitespace-nowrap">{formatTime(page.at)}</span>
+                  </div>
+                  <p className="text-red-600 break-all">{page.error || 'Unknown error'}</p>
+                </li>
+              ))}
+            </ul>
+          )}
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default AdminPage;
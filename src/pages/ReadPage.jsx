@@ -5,6 +5,18 @@ import { ChevronUp, ChevronDown, Home, Settings, X, ArrowLeft, ArrowRight, Menu
 import { getDoujinImages } from '../services/api';
 import { useLocation } from 'react-router-dom';
 
+// Width descriptors for the WebP renditions, so phones fetch the mobile one.
+// Pages without renditions fall back to the original alone.
+const pageSrcSet = ({ url, width, variants = {} }) => {
+  const candidates = [variants.mobile, variants.webp || (width && { url, width })]
+    .filter(candidate => candidate && candidate.url && candidate.width);
+  const seen = new Set();
+  return candidates
+    .filter(candidate => !seen.has(candidate.width) && seen.add(candidate.width))
+    .map(candidate => `${candidate.url} ${candidate.width}w`)
+    .join(', ') || undefined;
+};
+
 const ReadPage = () => {
   // Add CSS reset for body and html to ensure full width
   // Add CSS to override global styles
@@ -23,6 +35,7 @@ const ReadPage = () => {
       .manga-reader-fullwidth img {
         width: 100vw !important;
         max-width: 100vw !important;
+        height: auto;
         margin: 0 !important;
         padding: 0 !important;
       }
@@ -73,7 +86,17 @@ const ReadPage = () => {
       try {
         const result = await getDoujinImages(slug);
         if (result && result.success && result.images) {
-          setImages(result.images);
+          // Pages that failed to upload have no url yet
+          setImages(result.images
+            .filter(image => image.url)
+            .map(image => ({
+              url: image.url,
+              srcSet: pageSrcSet(image),
+              // Known sizes let the browser reserve each page's space before
+              // it loads, so lazy pages don't shift the ones below them
+              width: image.width || undefined,
+              height: image.height || undefined
+            })));
         } else {
           toast.error('Failed to load comic images');
         }
@@ -139,7 +162,9 @@ const ReadPage = () => {
   const handleImageError = (e, index, retries = 2) => {
     if (retries > 0) {
       setTimeout(() => {
-        e.target.src = images[index];
+        // Drop the renditions and retry with the original
+        e.target.removeAttribute('srcset');
+        e.target.src = images[index].url;
       }, 1000);
     } else {
       e.target.onerror = null;
@@ -306,7 +331,11 @@ const ReadPage = () => {
               {images.map((image, index) => (
                 <div key={index} ref={(el) => (imageRefs.current[index] = el)} className="manga-reader-fullwidth">
                   <img
-                    src={image}
+                    src={image.url}
+                    srcSet={image.srcSet}
+                    sizes="100vw"
+                    width={image.width}
+                    height={image.height}
                     alt={`Page ${index + 1}`}
                     className="manga-reader-fullwidth"
                     onError={(e) => handleImageError(e, index)}
@@ -319,7 +348,11 @@ const ReadPage = () => {
           ) : (
             <div className="h-screen flex flex-col items-center justify-center manga-reader-fullwidth">
               <img
-                src={images[currentPage]}
+                src={images[currentPage].url}
+                srcSet={images[currentPage].srcSet}
+                sizes="100vw"
+                width={images[currentPage].width}
+                height={images[currentPage].height}
                 alt={`Page ${currentPage + 1}`}
                 className="max-h-screen manga-reader-fullwidth"
                 onError={(e) => handleImageError(e, currentPage)}
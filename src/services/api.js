@@ -44,6 +44,8 @@ export const getDoujinImages = async (slug) => {
   }
 };
 
+// /get answers thumbnails the crawler has stored; storing a new one needs a
+// key, so until then the thumbnail falls back to the source URL
 export const getThumbnail = async (url) => {
   try {
     const response = await fetch(`${API_BASE_URL}/get?url=${encodeURIComponent(url)}`);
@@ -66,3 +68,24 @@ export const getThumbnail = async (url) => {
     return { cdnUrl: url, fallback: true };
   }
 };
+
+// Admin endpoints take the admin key typed into the dashboard; no key ships
+// inside the bundle
+const adminRequest = async (path, apiKey, options = {}) => {
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    ...options,
+    headers: { 'X-API-Key': apiKey }
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(data.error || `Request failed: ${response.statusText}`);
+    error.status = response.status;
+    throw error;
+  }
+  return data;
+};
+
+export const getAdminStats = (apiKey) => adminRequest('/admin/stats', apiKey);
+
+export const cancelJob = (apiKey, jobId) =>
+  adminRequest(`/jobs/${encodeURIComponent(jobId)}`, apiKey, { method: 'DELETE' });